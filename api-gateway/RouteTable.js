@@ -0,0 +1,290 @@
+const fs = require("fs");
+
+const HTTP_METHODS = [
+  "GET",
+  "HEAD",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "OPTIONS",
+];
+const AUTH_MODES = ["none", "user", "admin"];
+const ROUTE_FIELDS = [
+  "prefix",
+  "service",
+  "rewrite",
+  "methods",
+  "auth",
+  "timeoutMs",
+  "retry",
+];
+
+const RETRY_FIELDS = [
+  "attempts",
+  "baseDelayMs",
+  "maxDelayMs",
+  "attemptTimeoutMs",
+  "retryOn",
+];
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY = {
+  attempts: 1,
+  baseDelayMs: 100,
+  maxDelayMs: 2000,
+  attemptTimeoutMs: null,
+  retryOn: [502, 503, 504],
+};
+const WATCH_INTERVAL_MS = 1000;
+
+// Tabela de rotas do gateway, carregada de um arquivo JSON:
+//
+//   { "routes": [{
+//       "prefix": "/api/items",      // prefixo público do caminho
+//       "service": "item-service",   // nome do serviço no registry
+//       "rewrite": "/items",         // substitui o prefixo (padrão: mantido)
+//       "methods": ["GET", "POST"],  // padrão: qualquer método
+//       "auth": "user",              // "none" (padrão), "user" ou "admin"
+//       "timeoutMs": 5000,           // para todas as tentativas, padrão 10000
+//       "retry": {
+//         "attempts": 3,             // total de tentativas, padrão: 1
+//         "baseDelayMs": 100,        // backoff: random(0, base * 2^n),
+//         "maxDelayMs": 2000,        // limitado a maxDelayMs
+//         "attemptTimeoutMs": 2000,  // padrão: o que resta de timeoutMs
+//         "retryOn": [502, 503, 504] // status repetidos além de erros de rede
+//       }
+//   }] }
+//
+// Vence o prefixo mais longo que casar. O arquivo é validado por inteiro: na
+// inicialização um arquivo inválido é fatal; num reload ele é rejeitado e a
+// tabela anterior continua ativa.
+class RouteTable {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.routes = [];
+    this.loadedAt = null;
+    this.lastError = null;
+    this.load();
+  }
+
+  load() {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      throw new RouteConfigError(
+        `Não foi possível ler ${this.filePath}: ${error.message}`
+      );
+    }
+
+    this.routes = validateRoutes(config).sort(
+      (a, b) => b.prefix.length - a.prefix.length
+    );
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+    return this.routes;
+  }
+
+  // Recarrega quando o arquivo muda; onReload(error, routes) informa o
+  // resultado. Polling funciona com editores que substituem o arquivo.
+  watch(onReload) {
+    if (this.watching) return;
+    this.watching = true;
+
+    const options = { interval: WATCH_INTERVAL_MS, persistent: false };
+    fs.watchFile(this.filePath, options, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        onReload(null, this.load());
+      } catch (error) {
+        this.lastError = error.message;
+        onReload(error, this.routes);
+      }
+    });
+  }
+
+  unwatch() {
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  // Rota com o prefixo mais longo que casa com o caminho, ou null
+  match(requestPath) {
+    return (
+      this.routes.find(
+        ({ prefix }) =>
+          requestPath === prefix || requestPath.startsWith(`${prefix}/`)
+      ) || null
+    );
+  }
+
+  // Caminho no serviço de destino para uma URL (caminho + query string)
+  static targetPath(route, originalUrl) {
+    const targetPath = route.rewrite + originalUrl.slice(route.prefix.length);
+    return targetPath.startsWith("/") ? targetPath : `/${targetPath}`;
+  }
+
+  toJSON() {
+    return {
+      file: this.filePath,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      routes: this.routes,
+    };
+  }
+}
+
+function validateRoutes(config) {
+  if (!config || !Array.isArray(config.routes)) {
+    throw new RouteConfigError('O arquivo de rotas deve ter um array "routes"');
+  }
+
+  const prefixes = new Set();
+  return config.routes.map((route, index) => {
+    const where = `Rota ${index} (${route?.prefix ?? "sem prefixo"})`;
+    if (!route || typeof route !== "object" || Array.isArray(route)) {
+      throw new RouteConfigError(`${where}: deve ser um objeto`);
+    }
+
+    const unknown = Object.keys(route).filter(
+      (field) => !ROUTE_FIELDS.includes(field)
+    );
+    if (unknown.length > 0) {
+      throw new RouteConfigError(
+        `${where}: campos desconhecidos ${unknown.join(", ")}`
+      );
+    }
+
+    const {
+      prefix,
+      service,
+      rewrite = prefix,
+      methods = null,
+      auth = "none",
+      timeoutMs = DEFAULT_TIMEOUT_MS,
+      retry = {},
+    } = route;
+
+    if (
+      typeof prefix !== "string" ||
+      !prefix.startsWith("/") ||
+      (prefix.length > 1 && prefix.endsWith("/"))
+    ) {
+      throw new RouteConfigError(
+        `${where}: prefix deve começar com "/" e não terminar com "/"`
+      );
+    }
+    if (prefixes.has(prefix)) {
+      throw new RouteConfigError(`${where}: prefix duplicado`);
+    }
+    prefixes.add(prefix);
+
+    if (typeof service !== "string" || !service) {
+      throw new RouteConfigError(`${where}: service obrigatório`);
+    }
+    if (
+      typeof rewrite !== "string" ||
+      (rewrite !== "" && !rewrite.startsWith("/"))
+    ) {
+      throw new RouteConfigError(
+        `${where}: rewrite deve ser vazio ou começar com "/"`
+      );
+    }
+    if (
+      methods !== null &&
+      (!Array.isArray(methods) ||
+        methods.length === 0 ||
+        methods.some((method) => !HTTP_METHODS.includes(method)))
+    ) {
+      throw new RouteConfigError(
+        `${where}: methods deve listar métodos entre ${HTTP_METHODS.join(", ")}`
+      );
+    }
+    if (!AUTH_MODES.includes(auth)) {
+      throw new RouteConfigError(
+        `${where}: auth deve ser ${AUTH_MODES.join(", ")}`
+      );
+    }
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+      throw new RouteConfigError(
+        `${where}: timeoutMs deve ser um inteiro positivo`
+      );
+    }
+
+    return {
+      prefix,
+      service,
+      rewrite,
+      methods,
+      auth,
+      timeoutMs,
+      retry: validateRetry(retry, timeoutMs, where),
+    };
+  });
+}
+
+function validateRetry(retry, timeoutMs, where) {
+  if (!retry || typeof retry !== "object" || Array.isArray(retry)) {
+    throw new RouteConfigError(`${where}: retry deve ser um objeto`);
+  }
+  const unknown = Object.keys(retry).filter(
+    (field) => !RETRY_FIELDS.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw new RouteConfigError(
+      `${where}: campos desconhecidos em retry ${unknown.join(", ")}`
+    );
+  }
+
+  const policy = { ...DEFAULT_RETRY, ...retry };
+  if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+    throw new RouteConfigError(
+      `${where}: retry.attempts deve ser um inteiro maior que zero`
+    );
+  }
+  for (const field of ["baseDelayMs", "maxDelayMs"]) {
+    if (!Number.isInteger(policy[field]) || policy[field] < 0) {
+      throw new RouteConfigError(
+        `${where}: retry.${field} deve ser um inteiro não negativo`
+      );
+    }
+  }
+  if (policy.maxDelayMs < policy.baseDelayMs) {
+    throw new RouteConfigError(
+      `${where}: retry.maxDelayMs deve ser maior ou igual a baseDelayMs`
+    );
+  }
+  if (
+    policy.attemptTimeoutMs !== null &&
+    (!Number.isInteger(policy.attemptTimeoutMs) ||
+      policy.attemptTimeoutMs <= 0 ||
+      policy.attemptTimeoutMs > timeoutMs)
+  ) {
+    throw new RouteConfigError(
+      `${where}: retry.attemptTimeoutMs deve ser positivo e até timeoutMs`
+    );
+  }
+  if (
+    !Array.isArray(policy.retryOn) ||
+    policy.retryOn.some(
+      (status) => !Number.isInteger(status) || status < 400 || status > 599
+    )
+  ) {
+    throw new RouteConfigError(
+      `${where}: retry.retryOn deve listar status HTTP 4xx/5xx`
+    );
+  }
+  return policy;
+}
+
+class RouteConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RouteConfigError";
+  }
+}
+
+RouteTable.RouteConfigError = RouteConfigError;
+
+module.exports = RouteTable;
@@ -0,0 +1,118 @@
+const semver = require("semver");
+
+// Roteamento por versão no gateway. Por serviço, uma política opcional:
+//
+//   {
+//     version: "^1.0.0",                      // restrição para todo o tráfego
+//     weights: { "1.0.x": 90, "1.1.x": 10 },  // canary por faixa semver
+//   }
+//
+// O header `X-Api-Version` (versão ou faixa) tem precedência e é estrito: se
+// nenhuma instância o satisfaz, a requisição falha. A escolha por peso cai
+// para `version` (ou qualquer instância) quando a faixa sorteada não tem
+// instância saudável, assim um canary que sai do ar não derruba o tráfego.
+class VersionRouter {
+  constructor(policies = {}) {
+    this.policies = {};
+    for (const [serviceName, policy] of Object.entries(policies)) {
+      this.setPolicy(serviceName, policy);
+    }
+  }
+
+  getPolicies() {
+    return this.policies;
+  }
+
+  // Valida e substitui a política de um serviço; null a remove
+  setPolicy(serviceName, policy) {
+    if (policy === null) {
+      delete this.policies[serviceName];
+      return null;
+    }
+
+    const { version = null, weights = null } = policy || {};
+    if (version !== null && !semver.validRange(version)) {
+      throw new VersionRoutingError(`Restrição de versão inválida: ${version}`);
+    }
+    if (weights !== null) {
+      const entries = Object.entries(weights);
+      if (entries.length === 0) {
+        throw new VersionRoutingError("weights não pode ser vazio");
+      }
+      for (const [range, weight] of entries) {
+        if (!semver.validRange(range)) {
+          throw new VersionRoutingError(`Faixa de versão inválida: ${range}`);
+        }
+        if (typeof weight !== "number" || !(weight >= 0)) {
+          throw new VersionRoutingError(`Peso inválido para ${range}`);
+        }
+      }
+      if (entries.every(([, weight]) => weight === 0)) {
+        throw new VersionRoutingError("A soma dos pesos deve ser positiva");
+      }
+    }
+
+    this.policies[serviceName] = {
+      version,
+      weights,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.policies[serviceName];
+  }
+
+  // Faixas de versão a tentar, em ordem, para uma requisição a
+  // `serviceName` (null é qualquer versão), e o motivo da escolha
+  select(serviceName, req) {
+    const requested = req.header("X-Api-Version");
+    if (requested) {
+      if (!semver.validRange(requested)) {
+        throw new VersionRoutingError(
+          `X-Api-Version inválido: ${requested}`
+        );
+      }
+      return { reason: "header", ranges: [requested] };
+    }
+
+    const policy = this.policies[serviceName];
+    if (!policy) return { reason: "default", ranges: [null] };
+
+    if (policy.weights) {
+      return {
+        reason: "weight",
+        ranges: [pickWeighted(policy.weights), policy.version],
+      };
+    }
+    return { reason: "constraint", ranges: [policy.version] };
+  }
+
+  // Filtro de instâncias para discover(); instâncias sem versão válida só
+  // servem quando nenhuma faixa é exigida
+  static filterFor(range) {
+    if (range === null) return null;
+    return (instance) =>
+      Boolean(semver.valid(instance.version)) &&
+      semver.satisfies(instance.version, range);
+  }
+}
+
+function pickWeighted(weights) {
+  const entries = Object.entries(weights);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = Math.random() * total;
+  for (const [range, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return range;
+  }
+  return entries[entries.length - 1][0];
+}
+
+class VersionRoutingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "VersionRoutingError";
+  }
+}
+
+VersionRouter.VersionRoutingError = VersionRoutingError;
+
+module.exports = VersionRouter;
@@ -0,0 +1,26 @@
+const path = require("path");
+
+// Configuração do API Gateway
+module.exports = {
+  // Tempo de vida do cache local de instâncias; mudanças avisadas pelo
+  // registry invalidam o cache antes disso
+  registryCacheTtlMs: Number(process.env.REGISTRY_CACHE_TTL_MS) || 5000,
+
+  // Retries por serviço limitados a `ratio` das requisições na janela, mais
+  // `minRetriesPerSecond` para serviços com pouco tráfego
+  retryBudget: {
+    ratio: Number(process.env.RETRY_BUDGET_RATIO) || 0.2,
+    minRetriesPerSecond: Number(process.env.RETRY_BUDGET_MIN_PER_SECOND) || 3,
+    windowMs: Number(process.env.RETRY_BUDGET_WINDOW_MS) || 10000,
+  },
+
+  // Corpos até este tamanho ficam em memória para poderem ser reenviados
+  // em um retry; maiores (ou sem Content-Length) seguem em stream, uma vez
+  retryBodyLimitBytes:
+    Number(process.env.RETRY_BODY_LIMIT_BYTES) || 1024 * 1024,
+
+  // Tabela de rotas (prefixo -> serviço), recarregada quando o arquivo muda.
+  // Um serviço novo fica acessível declarando sua rota ali.
+  routesFile:
+    process.env.GATEWAY_ROUTES_FILE || path.join(__dirname, "routes.json"),
+};
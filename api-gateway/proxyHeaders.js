@@ -0,0 +1,72 @@
+// Headers no proxy do gateway (RFC 9110 §7.6.1): headers hop-by-hop, e os
+// nomeados em `Connection`, valem para uma única conexão e não são
+// repassados em nenhuma direção.
+const HOP_BY_HOP = [
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "proxy-connection",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+];
+
+function endToEnd(headers) {
+  const connectionTokens = String(headers.connection || "")
+    .split(",")
+    .map((token) => token.trim().toLowerCase())
+    .filter(Boolean);
+  const dropped = new Set([...HOP_BY_HOP, ...connectionTokens]);
+
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== undefined && !dropped.has(name.toLowerCase())) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+// Headers da requisição ao serviço: os headers end-to-end do cliente, com o
+// Host definido pelo cliente HTTP para o destino e X-Forwarded-* descrevendo
+// a requisição original (acrescentados em proxies encadeados).
+function requestHeaders(req, route) {
+  const headers = endToEnd(req.headers);
+  delete headers.host;
+
+  const clientIp = req.socket.remoteAddress;
+  headers["x-forwarded-for"] = req.headers["x-forwarded-for"]
+    ? `${req.headers["x-forwarded-for"]}, ${clientIp}`
+    : clientIp;
+  headers["x-forwarded-host"] =
+    req.headers["x-forwarded-host"] || req.headers.host;
+  headers["x-forwarded-proto"] =
+    req.headers["x-forwarded-proto"] || req.protocol;
+  headers["x-forwarded-prefix"] = route.prefix;
+
+  // As respostas são repassadas ainda codificadas: o serviço só comprime se
+  // o cliente pediu (senão o cliente HTTP enviaria seu próprio
+  // Accept-Encoding)
+  if (!headers["accept-encoding"]) headers["accept-encoding"] = "identity";
+  return headers;
+}
+
+// Copia os headers da resposta do serviço para `res`, que pode já ter
+// headers do gateway; os valores do serviço prevalecem
+function copyResponseHeaders(upstreamHeaders, res) {
+  for (const [name, value] of Object.entries(endToEnd(upstreamHeaders))) {
+    res.setHeader(name, value);
+  }
+}
+
+// Se a requisição tem corpo (e portanto só pode ser enviada uma vez)
+function hasBody(req) {
+  return (
+    req.headers["transfer-encoding"] !== undefined ||
+    Number(req.headers["content-length"]) > 0
+  );
+}
+
+module.exports = { requestHeaders, copyResponseHeaders, hasBody };
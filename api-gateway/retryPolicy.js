@@ -0,0 +1,119 @@
+// Regras de retry do proxy do gateway.
+//
+// Uma requisição só é reenviada se isso não puder aplicá-la duas vezes:
+// métodos idempotentes (RFC 9110 §9.2.2), ou POST com Idempotency-Key, que o
+// item-service e o list-service deduplicam (shared/IdempotencyStore.js): um
+// POST já aplicado antes do timeout devolve a resposta guardada. PATCH nunca
+// é repetido. Só falhas transitórias são repetidas: erros de rede, timeouts
+// e os status em `retry.retryOn` da rota.
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+const TRANSIENT_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+];
+
+function isRetryableRequest(req) {
+  return (
+    IDEMPOTENT_METHODS.includes(req.method) ||
+    (req.method === "POST" && Boolean(req.headers["idempotency-key"]))
+  );
+}
+
+function isTransientError(error) {
+  return (
+    Boolean(error.isAxiosError) &&
+    !error.response &&
+    TRANSIENT_ERROR_CODES.includes(error.code)
+  );
+}
+
+// Backoff exponencial com jitter completo: random(0, base * 2^(attempt - 1))
+// limitado a maxDelayMs, para espalhar clientes que repetem ao mesmo tempo
+function backoffDelay(policy, attempt) {
+  const ceiling = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * 2 ** (attempt - 1)
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+// Corpo da requisição em memória, para poder ser reenviado
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+const BUDGET_BUCKET_MS = 1000;
+
+// Limita os retries a um serviço a `ratio` das suas requisições numa janela
+// deslizante, mais `minRetriesPerSecond` para serviços com pouco tráfego.
+// Quando o serviço está com problemas e a maioria das requisições falha, os
+// retries param em vez de multiplicar sua carga.
+class RetryBudget {
+  constructor(options = {}) {
+    this.ratio = options.ratio ?? 0.2;
+    this.minRetriesPerSecond = options.minRetriesPerSecond ?? 3;
+    this.windowMs = options.windowMs || 10000;
+    this.buckets = [];
+    this.exhausted = 0;
+  }
+
+  recordRequest() {
+    this.currentBucket().requests++;
+  }
+
+  // Consome um retry do budget; false quando não resta nenhum
+  tryRetry() {
+    const { retries, allowed } = this.stats();
+    if (retries >= allowed) {
+      this.exhausted++;
+      return false;
+    }
+    this.currentBucket().retries++;
+    return true;
+  }
+
+  currentBucket() {
+    const start = Math.floor(Date.now() / BUDGET_BUCKET_MS) * BUDGET_BUCKET_MS;
+    this.prune();
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, retries: 0 };
+      this.buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.buckets.length > 0 && this.buckets[0].start <= cutoff) {
+      this.buckets.shift();
+    }
+  }
+
+  stats() {
+    this.prune();
+    const requests = this.buckets.reduce((sum, b) => sum + b.requests, 0);
+    const retries = this.buckets.reduce((sum, b) => sum + b.retries, 0);
+    const allowed = Math.floor(
+      this.ratio * requests + (this.minRetriesPerSecond * this.windowMs) / 1000
+    );
+    return { requests, retries, allowed, exhausted: this.exhausted };
+  }
+}
+
+module.exports = {
+  RetryBudget,
+  isRetryableRequest,
+  isTransientError,
+  backoffDelay,
+  readBody,
+};
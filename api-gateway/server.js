@@ -7,6 +7,23 @@ const path = require("path");
 
 // Importar service registry
 const serviceRegistry = require("../shared/serviceRegistry");
+const config = require("./config");
+const VersionRouter = require("./VersionRouter");
+const RouteTable = require("./RouteTable");
+const CircuitBreaker = require("../shared/CircuitBreaker");
+const { VersionRoutingError } = VersionRouter;
+const {
+  requestHeaders,
+  copyResponseHeaders,
+  hasBody,
+} = require("./proxyHeaders");
+const {
+  RetryBudget,
+  isRetryableRequest,
+  isTransientError,
+  backoffDelay,
+  readBody,
+} = require("./retryPolicy");
 
 class ApiGateway {
   constructor() {
@@ -15,12 +32,45 @@ class ApiGateway {
     this.serviceName = "api-gateway";
     this.serviceUrl = `http://localhost:${this.port}`;
 
-    // Circuit breaker state
-    this.circuitBreakers = {
-      "user-service": { failures: 0, state: "CLOSED", lastFailure: 0 },
-      "item-service": { failures: 0, state: "CLOSED", lastFailure: 0 },
-      "list-service": { failures: 0, state: "CLOSED", lastFailure: 0 },
-    };
+    // Tabela de rotas declarativa; um arquivo inválido impede a
+    // inicialização, e uma alteração inválida mantém a tabela anterior
+    this.routeTable = new RouteTable(config.routesFile);
+    this.routeTable.watch((error) => {
+      if (error) {
+        console.error("Rotas não recarregadas:", error.message);
+        return;
+      }
+      console.log(
+        `Rotas recarregadas: ${this.routeTable.routes.length} rotas ativas`
+      );
+      this.syncCircuitBreakers();
+    });
+
+    // Um circuit breaker por serviço roteado; opções padrão e por serviço
+    // vindas do ambiente (CIRCUIT_BREAKER_*, CIRCUIT_BREAKERS)
+    this.circuitBreakers = new CircuitBreaker.Group(
+      CircuitBreaker.configFromEnv()
+    );
+    this.circuitBreakers.on("stateChange", ({ name, from, to }) => {
+      console.warn(`Circuit breaker de ${name}: ${from} -> ${to}`);
+    });
+    this.syncCircuitBreakers();
+
+    // Retry budget de cada serviço, criado no primeiro uso
+    this.retryBudgets = new Map();
+
+    // Último resultado das verificações periódicas de health
+    this.healthResults = {};
+
+    // Instâncias resolvidas no registry a cada requisição, com cache local
+    // invalidado pelas notificações de mudança do registry
+    serviceRegistry.enableCache(config.registryCacheTtlMs);
+
+    // Roteamento por versão/canary; política inicial opcional em
+    // VERSION_ROUTING, ex.: {"list-service":{"weights":{"1.0.x":90,"1.1.x":10}}}
+    this.versionRouter = new VersionRouter(
+      process.env.VERSION_ROUTING ? JSON.parse(process.env.VERSION_ROUTING) : {}
+    );
 
     this.setupMiddleware();
     this.setupRoutes();
@@ -47,8 +97,8 @@ class ApiGateway {
     this.app.use(helmet());
     this.app.use(cors());
     this.app.use(morgan("combined"));
-    this.app.use(express.json());
-    this.app.use(express.urlencoded({ extended: true }));
+    // Sem body parser global: o proxy repassa o corpo das requisições como
+    // stream; rotas do próprio gateway usam express.json() individualmente
 
     // Service info headers
     this.app.use((req, res, next) => {
@@ -67,24 +117,6 @@ class ApiGateway {
     });
   }
 
-  getServiceUrl(serviceName) {
-    // URLs hardcoded como fallback - IGNORA completamente o registry
-    const hardcodedUrls = {
-      "user-service": "http://localhost:3001",
-      "list-service": "http://localhost:3002",
-      "item-service": "http://localhost:3003",
-    };
-
-    const url = hardcodedUrls[serviceName];
-    if (url) {
-      console.log(`Using hardcoded URL for ${serviceName}: ${url}`);
-      return url;
-    }
-
-    console.error(`No URL found for service: ${serviceName}`);
-    return null;
-  }
-
   setupRoutes() {
     // Health check endpoint
     this.app.get("/health", this.healthCheck.bind(this));
@@ -92,16 +124,54 @@ class ApiGateway {
     // Service registry endpoint
     this.app.get("/registry", this.getRegistry.bind(this));
 
-    // Service endpoints
-    this.app.use("/api/auth", this.proxyToService("user-service", "/auth"));
-    this.app.use("/api/users", this.proxyToService("user-service", "/users"));
-    this.app.use("/api/items", this.proxyToService("item-service", "/"));
-    this.app.use("/api/lists", this.proxyToService("list-service", "/"));
+    // Métricas dos circuit breakers
+    this.app.get("/metrics", (req, res) => {
+      res.json({
+        success: true,
+        data: {
+          timestamp: new Date().toISOString(),
+          circuitBreakers: this.circuitBreakers.snapshot(),
+          retryBudgets: Object.fromEntries(
+            [...this.retryBudgets].map(([service, budget]) => [
+              service,
+              budget.stats(),
+            ])
+          ),
+        },
+      });
+    });
+
+    // Admin: políticas de roteamento por versão
+    const adminOnly = this.requireAdmin.bind(this);
+    this.app.get(
+      "/admin/routing/versions",
+      adminOnly,
+      this.getVersionRouting.bind(this)
+    );
+    this.app.put(
+      "/admin/routing/versions/:serviceName",
+      adminOnly,
+      express.json(),
+      this.updateVersionRouting.bind(this)
+    );
+    this.app.delete(
+      "/admin/routing/versions/:serviceName",
+      adminOnly,
+      this.deleteVersionRouting.bind(this)
+    );
+
+    // Admin: tabela de rotas ativa
+    this.app.get("/admin/routing/routes", adminOnly, (req, res) => {
+      res.json({ success: true, data: this.routeTable });
+    });
 
     // Aggregated endpoints
     this.app.get("/api/dashboard", this.getDashboard.bind(this));
     this.app.get("/api/search", this.globalSearch.bind(this));
 
+    // Service endpoints, conforme a tabela de rotas
+    this.app.use(this.routeRequest.bind(this));
+
     // Root endpoint
     this.app.get("/", (req, res) => {
       res.json({
@@ -112,12 +182,15 @@ class ApiGateway {
         endpoints: [
           "GET /health - Status dos serviços",
           "GET /registry - Serviços registrados",
+          "GET /metrics - Circuit breakers e retry budgets",
           "GET /api/dashboard - Dashboard do usuário",
           "GET /api/search - Busca global",
-          "/api/auth/* - User Service",
-          "/api/users/* - User Service",
-          "/api/items/* - Item Service",
-          "/api/lists/* - List Service",
+          "GET /admin/routing/versions - Políticas de versão (admin)",
+          "PUT /admin/routing/versions/:serviceName - Ajustar pesos (admin)",
+          "GET /admin/routing/routes - Tabela de rotas (admin)",
+          ...this.routeTable.routes.map(
+            ({ prefix, service }) => `${prefix}/* - ${service}`
+          ),
         ],
       });
     });
@@ -145,57 +218,15 @@ class ApiGateway {
   // Health check for all services
   async healthCheck(req, res) {
     try {
-      let services;
+      let healthResults = {};
+      let registryStatus;
       try {
-        services = serviceRegistry.getAllServices();
+        healthResults = await this.checkServices();
+        registryStatus =
+          Object.keys(healthResults).length > 0 ? "active" : "empty";
       } catch (error) {
         console.warn("Erro ao acessar registry:", error.message);
-        services = {};
-      }
-
-      const healthResults = {};
-      const serviceUrls = {
-        "user-service": "http://localhost:3001",
-        "item-service": "http://localhost:3003",
-        "list-service": "http://localhost:3002",
-      };
-
-      for (const [serviceName, fallbackUrl] of Object.entries(serviceUrls)) {
-        try {
-          const serviceUrl = serviceUrls[serviceName];
-          const response = await axios.get(`${serviceUrl}/health`, {
-            timeout: 3000,
-          });
-
-          healthResults[serviceName] = {
-            status: "healthy",
-            data: response.data,
-            source: "direct",
-          };
-
-          // Reset circuit breaker on success
-          if (this.circuitBreakers[serviceName]) {
-            this.circuitBreakers[serviceName].failures = 0;
-            this.circuitBreakers[serviceName].state = "CLOSED";
-          }
-        } catch (error) {
-          healthResults[serviceName] = {
-            status: "unhealthy",
-            error: error.message,
-            source: "direct",
-          };
-
-          // Update circuit breaker on failure
-          if (this.circuitBreakers[serviceName]) {
-            this.circuitBreakers[serviceName].failures++;
-            this.circuitBreakers[serviceName].lastFailure = Date.now();
-
-            if (this.circuitBreakers[serviceName].failures >= 3) {
-              this.circuitBreakers[serviceName].state = "OPEN";
-              console.warn(`Circuit breaker OPEN for ${serviceName}`);
-            }
-          }
-        }
+        registryStatus = "unavailable";
       }
 
       res.json({
@@ -206,8 +237,8 @@ class ApiGateway {
           uptime: process.uptime(),
         },
         services: healthResults,
-        circuitBreakers: this.circuitBreakers,
-        registryStatus: Object.keys(services).length > 0 ? "active" : "empty",
+        circuitBreakers: this.circuitBreakers.snapshot(),
+        registryStatus,
       });
     } catch (error) {
       res.status(503).json({
@@ -218,6 +249,52 @@ class ApiGateway {
     }
   }
 
+  // Health de cada instância registrada; um serviço está saudável se ao
+  // menos uma instância responder
+  async checkServices() {
+    const services = await serviceRegistry.getAllServices();
+    const healthResults = {};
+
+    await Promise.all(
+      Object.entries(services).map(async ([serviceName, instances]) => {
+        const checks = await Promise.all(
+          Object.values(instances).map(async (instance) => {
+            const { instanceId, url, version } = instance;
+            try {
+              const response = await axios.get(`${url}/health`, {
+                timeout: 3000,
+              });
+              return {
+                instanceId,
+                url,
+                version,
+                status: "healthy",
+                data: response.data,
+              };
+            } catch (error) {
+              return {
+                instanceId,
+                url,
+                version,
+                status: "unhealthy",
+                error: error.message,
+              };
+            }
+          })
+        );
+
+        const healthy = checks.some((check) => check.status === "healthy");
+        healthResults[serviceName] = {
+          status: healthy ? "healthy" : "unhealthy",
+          instances: checks,
+          source: "registry",
+        };
+      })
+    );
+
+    return healthResults;
+  }
+
   // Get service registry
   async getRegistry(req, res) {
     try {
@@ -240,8 +317,44 @@ class ApiGateway {
     }
   }
 
+  // Serviços que entram na tabela de rotas ganham um circuit breaker
+  syncCircuitBreakers() {
+    for (const { service } of this.routeTable.routes) {
+      this.circuitBreakers.for(service);
+    }
+  }
+
+  // Encaminha para o serviço da rota, trocando o prefixo por `rewrite`,
+  // depois de conferir método e autenticação exigidos pela rota
+  routeRequest(req, res, next) {
+    const route = this.routeTable.match(req.path);
+    if (!route) return next();
+
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    if (
+      route.methods &&
+      !route.methods.includes(req.method) &&
+      !route.methods.includes(method)
+    ) {
+      res.setHeader("Allow", route.methods.join(", "));
+      return res.status(405).json({
+        success: false,
+        message: `Método ${req.method} não permitido em ${route.prefix}`,
+      });
+    }
+
+    const proxy = () =>
+      this.proxyToService(route, RouteTable.targetPath(route, req.originalUrl))(
+        req,
+        res
+      );
+    if (route.auth === "none") return proxy();
+    return this.authenticate(req, res, proxy, route.auth === "admin");
+  }
+
   // Proxy requests to services
-  proxyToService(serviceName) {
+  proxyToService(route, targetPath) {
+    const serviceName = route.service;
     return async (req, res) => {
       console.log("=== DEBUG PROXY ===");
       console.log("Service Name:", serviceName);
@@ -249,100 +362,283 @@ class ApiGateway {
       console.log("Method:", req.method);
       console.log("==================");
 
-      // Check circuit breaker
-      if (this.circuitBreakers[serviceName]?.state === "OPEN") {
-        const timeSinceLastFailure =
-          Date.now() - this.circuitBreakers[serviceName].lastFailure;
-        if (timeSinceLastFailure > 30000) {
-          this.circuitBreakers[serviceName].state = "HALF-OPEN";
-        } else {
+      const breaker = this.circuitBreakers.for(serviceName);
+
+      try {
+        // Uma requisição que pode ser repetida tem o corpo mantido em
+        // memória para reenvio; as demais repassam o stream uma única vez
+        let body = hasBody(req) ? req : undefined;
+        let canReplay = route.retry.attempts > 1 && isRetryableRequest(req);
+        if (canReplay && body) {
+          const length = Number(req.headers["content-length"]);
+          if (length <= config.retryBodyLimitBytes) {
+            body = await readBody(req);
+          } else {
+            canReplay = false;
+          }
+        }
+
+        // Instância escolhida pela política de versão e pelo balanceamento
+        // de carga do registry, a cada tentativa
+        const versionRoute = this.versionRouter.select(serviceName, req);
+        const attempt = (timeoutMs) =>
+          this.withVersionedInstance(serviceName, versionRoute, (instance) => {
+            const targetUrl = `${instance.url}${targetPath}`;
+            console.log(
+              `Proxying to: ${targetUrl} (${instance.instanceId}, ${instance.version}, ${versionRoute.reason})`
+            );
+            res.setHeader("X-Instance-Version", instance.version);
+
+            // Repasse sem reinterpretar: resposta em stream, qualquer status
+            // e o conteúdo ainda comprimido. O timeout vale até os headers
+            // da resposta, então streams longos (SSE) não expiram.
+            return axios({
+              method: req.method,
+              url: targetUrl,
+              data: body,
+              headers: requestHeaders(req, route),
+              responseType: "stream",
+              decompress: false,
+              maxRedirects: 0,
+              maxBodyLength: Infinity,
+              maxContentLength: Infinity,
+              validateStatus: () => true,
+              timeout: timeoutMs,
+            });
+          });
+
+        // O circuit breaker vê o resultado final da requisição: uma falha
+        // transitória resolvida no retry não conta contra o serviço
+        const response = await breaker.execute(
+          () => this.withRetry(route, canReplay, attempt),
+          {
+            isFailure: (error) => Boolean(error.isAxiosError),
+            isFailureResult: (response) => response.status >= 500,
+          }
+        );
+
+        res.status(response.status);
+        copyResponseHeaders(response.headers, res);
+
+        // Cliente desconectou: encerra também a conexão com o serviço
+        res.on("close", () => response.data.destroy());
+        response.data.on("error", (error) => {
+          console.error(`Stream error for ${serviceName}:`, error.message);
+          res.destroy(error);
+        });
+        response.data.pipe(res);
+      } catch (error) {
+        console.error(`Proxy error for ${serviceName}:`, error.message);
+
+        if (error.code === "CIRCUIT_OPEN") {
           return res.status(503).json({
             success: false,
             message: `Serviço ${serviceName} temporariamente indisponível`,
-            circuitBreaker: "OPEN",
+            circuitBreaker: error.state,
           });
         }
-      }
-
-      try {
-        const serviceUrl = this.getServiceUrl(serviceName);
-        if (!serviceUrl) {
+        if (error instanceof VersionRoutingError) {
+          return res.status(400).json({
+            success: false,
+            message: error.message,
+          });
+        }
+        if (error.code === "NO_INSTANCES") {
+          const requested = req.header("X-Api-Version");
           return res.status(503).json({
             success: false,
-            message: `Serviço ${serviceName} não encontrado`,
+            message: requested
+              ? `Nenhuma instância de ${serviceName} atende à versão ${requested}`
+              : `Serviço ${serviceName} não encontrado`,
           });
         }
 
-        // Construir a URL correta
-        let targetPath = req.originalUrl;
-
-        // Mapeamento correto dos prefixos
-        if (
-          serviceName === "user-service" &&
-          targetPath.startsWith("/api/auth")
-        ) {
-          targetPath = targetPath.replace("/api/auth", "/auth");
-        } else if (
-          serviceName === "user-service" &&
-          targetPath.startsWith("/api/users")
-        ) {
-          targetPath = targetPath.replace("/api/users", "/users");
-        } else if (
-          serviceName === "item-service" &&
-          targetPath.startsWith("/api/items")
-        ) {
-          targetPath = targetPath.replace("/api/items", "");
-        } else if (
-          serviceName === "list-service" &&
-          targetPath.startsWith("/api/lists")
-        ) {
-          targetPath = targetPath.replace("/api/lists", "");
-        }
+        res.status(error.code === "ECONNABORTED" ? 504 : 503).json({
+          success: false,
+          message: `Serviço ${serviceName} indisponível`,
+          error: error.message,
+        });
+      }
+    };
+  }
 
-        const targetUrl = `${serviceUrl}${targetPath}`;
-        console.log(`Proxying to: ${targetUrl}`);
+  // Retry budget do serviço, criado no primeiro uso
+  retryBudgetFor(serviceName) {
+    if (!this.retryBudgets.has(serviceName)) {
+      this.retryBudgets.set(serviceName, new RetryBudget(config.retryBudget));
+    }
+    return this.retryBudgets.get(serviceName);
+  }
 
-        const response = await axios({
-          method: req.method,
-          url: targetUrl,
-          data: req.body,
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: req.headers.authorization || "",
-          },
-          timeout: 10000,
-        });
+  // Helper: executa attempt(timeoutMs) e repete falhas transitórias (erro
+  // de rede, timeout ou status em retry.retryOn) com backoff exponencial e
+  // jitter, enquanto houver tentativas, tempo no orçamento da rota
+  // (timeoutMs, para todas as tentativas) e retry budget do serviço
+  async withRetry(route, canReplay, attempt) {
+    const policy = route.retry;
+    const budget = this.retryBudgetFor(route.service);
+    const deadline = Date.now() + route.timeoutMs;
+    budget.recordRequest();
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      const remaining = Math.max(deadline - Date.now(), 1);
+      const timeoutMs = Math.min(
+        remaining,
+        policy.attemptTimeoutMs || remaining
+      );
 
-        // Reset circuit breaker on success
-        if (this.circuitBreakers[serviceName]?.state === "HALF-OPEN") {
-          this.circuitBreakers[serviceName].state = "CLOSED";
-          this.circuitBreakers[serviceName].failures = 0;
-        }
+      let response;
+      let error;
+      try {
+        response = await attempt(timeoutMs);
+        if (!policy.retryOn.includes(response.status)) return response;
+      } catch (caught) {
+        if (!isTransientError(caught)) throw caught;
+        error = caught;
+      }
+
+      const delay = backoffDelay(policy, attemptNumber);
+      const retry =
+        canReplay &&
+        attemptNumber < policy.attempts &&
+        Date.now() + delay < deadline &&
+        budget.tryRetry();
+      if (!retry) {
+        if (error) throw error;
+        return response;
+      }
+
+      // Resposta descartada: libera a conexão antes de tentar de novo
+      if (response) response.data.destroy();
+      const reason = error ? error.code : `HTTP ${response.status}`;
+      console.warn(
+        `Tentativa ${attemptNumber}/${policy.attempts} para ${route.service} falhou (${reason}); nova tentativa em ${delay}ms`
+      );
+      await this.delay(delay);
+    }
+  }
 
-        res.status(response.status).json(response.data);
+  // Helper: tenta as faixas de versão escolhidas, em ordem, até achar uma
+  // instância (canary sem instâncias cai na versão padrão)
+  async withVersionedInstance(serviceName, route, fn) {
+    let lastError;
+    for (const range of route.ranges) {
+      try {
+        return await serviceRegistry.withInstance(serviceName, fn, {
+          filter: VersionRouter.filterFor(range),
+        });
       } catch (error) {
-        console.error(`Proxy error for ${serviceName}:`, error.message);
+        if (error.code !== "NO_INSTANCES") throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
 
-        // Update circuit breaker
-        if (this.circuitBreakers[serviceName]) {
-          this.circuitBreakers[serviceName].failures++;
-          this.circuitBreakers[serviceName].lastFailure = Date.now();
-          if (this.circuitBreakers[serviceName].failures >= 3) {
-            this.circuitBreakers[serviceName].state = "OPEN";
-          }
-        }
+  // Helper: exige token de administrador, validado no User Service
+  requireAdmin(req, res, next) {
+    return this.authenticate(req, res, next, true);
+  }
 
-        if (error.response) {
-          res.status(error.response.status).json(error.response.data);
-        } else {
-          res.status(503).json({
-            success: false,
-            message: `Serviço ${serviceName} indisponível`,
-            error: error.message,
-          });
-        }
+  // Helper: exige token válido no User Service (de admin, com adminOnly)
+  async authenticate(req, res, next, adminOnly = false) {
+    const authHeader = req.header("Authorization");
+    if (!authHeader?.startsWith("Bearer ")) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Token obrigatório" });
+    }
+
+    try {
+      const response = await serviceRegistry.withInstance(
+        "user-service",
+        (userService) =>
+          axios.post(
+            `${userService.url}/auth/validate`,
+            { token: authHeader.replace("Bearer ", "") },
+            { timeout: 5000 }
+          )
+      );
+      if (adminOnly && response.data.data.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Acesso restrito a administradores",
+        });
       }
-    };
+      next();
+    } catch (error) {
+      if (error.response?.status === 401) {
+        return res
+          .status(401)
+          .json({ success: false, message: "Token inválido" });
+      }
+      console.error("Erro na validação do token:", error.message);
+      res.status(503).json({
+        success: false,
+        message: "Serviço de autenticação indisponível",
+      });
+    }
+  }
+
+  // Políticas de versão e versões registradas de cada serviço
+  async getVersionRouting(req, res) {
+    try {
+      const services = await serviceRegistry.getAllServices();
+      const versions = {};
+      for (const [serviceName, instances] of Object.entries(services)) {
+        versions[serviceName] = Object.values(instances).map(
+          ({ instanceId, version, healthy, draining }) => ({
+            instanceId,
+            version,
+            healthy,
+            draining: Boolean(draining),
+          })
+        );
+      }
+
+      res.json({
+        success: true,
+        data: {
+          policies: this.versionRouter.getPolicies(),
+          instances: versions,
+        },
+      });
+    } catch (error) {
+      console.error("Erro ao buscar roteamento por versão:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do gateway",
+      });
+    }
+  }
+
+  // Body: { version?: "<faixa semver>", weights?: { "<faixa>": peso } }
+  updateVersionRouting(req, res) {
+    try {
+      const policy = this.versionRouter.setPolicy(req.params.serviceName, {
+        version: req.body.version ?? null,
+        weights: req.body.weights ?? null,
+      });
+      console.log(
+        `Política de versão de ${req.params.serviceName} atualizada:`,
+        JSON.stringify(policy)
+      );
+      res.json({ success: true, data: policy });
+    } catch (error) {
+      if (error instanceof VersionRoutingError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Erro ao atualizar roteamento por versão:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do gateway",
+      });
+    }
+  }
+
+  deleteVersionRouting(req, res) {
+    this.versionRouter.setPolicy(req.params.serviceName, null);
+    res.json({ success: true, message: "Política de versão removida" });
   }
 
   // Dashboard endpoint (aggregates data from multiple services)
@@ -357,12 +653,15 @@ class ApiGateway {
 
       const token = authHeader.replace("Bearer ", "");
 
-      // Validar token com URL direta
-      const userServiceUrl = "http://localhost:3001";
-      const userResponse = await axios.post(
-        `${userServiceUrl}/auth/validate`,
-        { token },
-        { timeout: 5000, headers: { "Content-Type": "application/json" } }
+      // Validar token no User Service
+      const userResponse = await serviceRegistry.withInstance(
+        "user-service",
+        (userService) =>
+          axios.post(
+            `${userService.url}/auth/validate`,
+            { token },
+            { timeout: 5000, headers: { "Content-Type": "application/json" } }
+          )
       );
 
       if (!userResponse.data.success) {
@@ -373,43 +672,32 @@ class ApiGateway {
 
       const user = userResponse.data.data.user;
 
-      // Buscar listas do usuário
-      const listServiceUrl = "http://localhost:3002";
-      const listsResponse = await axios.get(`${listServiceUrl}/`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 5000,
-      });
+      // Estatísticas das listas, agregadas pelo List Service
+      const statsResponse = await serviceRegistry.withInstance(
+        "list-service",
+        (listService) =>
+          axios.get(`${listService.url}/stats`, {
+            headers: {
+              Authorization: `Bearer ${token}`,
+              "Content-Type": "application/json",
+            },
+            timeout: 5000,
+          })
+      );
 
-      const lists = listsResponse.data.success ? listsResponse.data.data : [];
+      const stats = statsResponse.data.data;
 
-      // Buscar contagem de itens ativos
-      const itemServiceUrl = "http://localhost:3003";
-      const itemsResponse = await axios.get(
-        `${itemServiceUrl}/?active=true&limit=1`,
-        {
-          timeout: 5000,
-        }
+      // Contagem de itens ativos, agregada pelo Item Service
+      const itemsResponse = await serviceRegistry.withInstance(
+        "item-service",
+        (itemService) =>
+          axios.get(`${itemService.url}/stats/categories`, { timeout: 5000 })
       );
 
       const totalItems = itemsResponse.data.success
-        ? itemsResponse.data.pagination.total
+        ? itemsResponse.data.totalItems
         : 0;
 
-      // Calcular estatísticas do dashboard
-      const activeLists = lists.filter(
-        (list) => list.status === "active"
-      ).length;
-      const completedLists = lists.filter(
-        (list) => list.status === "completed"
-      ).length;
-      const totalEstimated = lists.reduce(
-        (sum, list) => sum + list.summary.estimatedTotal,
-        0
-      );
-
       res.json({
         success: true,
         data: {
@@ -421,21 +709,11 @@ class ApiGateway {
             preferences: user.preferences,
           },
           statistics: {
-            totalLists: lists.length,
-            activeLists,
-            completedLists,
+            ...stats.statistics,
             totalItems,
-            totalEstimated: parseFloat(totalEstimated.toFixed(2)),
           },
-          recentLists: lists.slice(0, 5).map((list) => ({
-            id: list.id,
-            name: list.name,
-            status: list.status,
-            itemCount: list.summary.totalItems,
-            purchasedCount: list.summary.purchasedItems,
-            estimatedTotal: list.summary.estimatedTotal,
-            updatedAt: list.updatedAt,
-          })),
+          spendByCategory: stats.spendByCategory,
+          recentLists: stats.recentLists,
         },
       });
     } catch (error) {
@@ -462,12 +740,15 @@ class ApiGateway {
 
       const results = {};
 
-      // Search items - ✅ CORRIGIDO: Usar URL direta
+      // Search items
       try {
-        const itemServiceUrl = "http://localhost:3003";
-        const response = await axios.get(
-          `${itemServiceUrl}/search?q=${encodeURIComponent(q)}&limit=10`,
-          { timeout: 5000 }
+        const response = await serviceRegistry.withInstance(
+          "item-service",
+          (itemService) =>
+            axios.get(
+              `${itemService.url}/search?q=${encodeURIComponent(q)}&limit=10`,
+              { timeout: 5000 }
+            )
         );
 
         if (response.data.success) {
@@ -483,13 +764,15 @@ class ApiGateway {
       if (authHeader?.startsWith("Bearer ")) {
         try {
           const token = authHeader.replace("Bearer ", "");
-          const listService = serviceRegistry.discover("list-service");
-
           // Get all user's lists and filter by name
-          const response = await axios.get(`${listService.url}/lists`, {
-            headers: { Authorization: `Bearer ${token}` },
-            timeout: 5000,
-          });
+          const response = await serviceRegistry.withInstance(
+            "list-service",
+            (listService) =>
+              axios.get(`${listService.url}/lists`, {
+                headers: { Authorization: `Bearer ${token}` },
+                timeout: 5000,
+              })
+          );
 
           if (response.data.success) {
             const lists = response.data.data;
@@ -525,33 +808,20 @@ class ApiGateway {
 
   // Start periodic health checks
   startHealthChecks() {
-    setInterval(async () => {
-      try {
-        const serviceUrls = {
-          "user-service": "http://localhost:3001",
-          "item-service": "http://localhost:3003",
-          "list-service": "http://localhost:3002",
-        };
+    if (this.healthCheckTimer) return;
 
-        // Testar cada serviço diretamente
-        for (const [serviceName, serviceUrl] of Object.entries(serviceUrls)) {
-          try {
-            const response = await axios.get(`${serviceUrl}/health`, {
-              timeout: 3000,
-            });
-            healthResults[serviceName] = {
-              status: "healthy",
-              data: response.data,
-            };
-          } catch (error) {
-            healthResults[serviceName] = {
-              status: "unhealthy",
-              error: error.message,
-            };
+    this.healthCheckTimer = setInterval(async () => {
+      try {
+        this.healthResults = await this.checkServices();
+        for (const [serviceName, result] of Object.entries(
+          this.healthResults
+        )) {
+          if (result.status !== "healthy") {
+            console.warn(`Serviço ${serviceName} sem instâncias saudáveis`);
           }
         }
       } catch (error) {
-        console.error("Health check interval error:", error);
+        console.error("Health check interval error:", error.message);
       }
     }, 30000); // Check every 30 seconds
   }
@@ -0,0 +1,12 @@
+// Persist `_version` (optimistic concurrency) on items written before
+// document versioning existed
+module.exports = {
+  description: "Persist _version on items written before versioning",
+
+  up: (documents) =>
+    documents.map((item) =>
+      item._version === undefined ? { ...item, _version: 1 } : item
+    ),
+
+  down: (documents) => documents.map(({ _version, ...item }) => item),
+};
@@ -8,7 +8,44 @@ const axios = require("axios");
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require("../../shared/JsonDatabase");
+const {
+  VersionConflictError,
+  ValidationError,
+} = require("../../shared/DatabaseErrors");
+const { etagFor, versionFromIfMatch } = require("../../shared/etag");
+const {
+  parseSortParam,
+  parseFieldsParam,
+} = require("../../shared/queryOptions");
 const serviceRegistry = require("../../shared/serviceRegistry");
+const GracefulShutdown = require("../../shared/GracefulShutdown");
+const IdempotencyStore = require("../../shared/IdempotencyStore");
+const HealthChecks = require("../../shared/HealthChecks");
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Schema dos itens: validado pelo JsonDatabase em toda gravação
+const ITEM_SCHEMA = {
+  id: { type: "string", required: true, immutable: true },
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  category: { type: "string", required: true, minLength: 1 },
+  brand: { type: "string", default: "" },
+  unit: { type: "string", default: "un" },
+  averagePrice: { type: "number", min: 0, default: 0 },
+  barcode: { type: "string", pattern: "^\\d*$", default: "" },
+  description: { type: "string", default: "" },
+  active: { type: "boolean", default: true },
+  createdAt: {
+    type: "date",
+    immutable: true,
+    default: () => new Date().toISOString(),
+  },
+  updatedAt: { type: "date" },
+};
+
+const MAX_BULK_ITEMS = 100;
 
 console.log("Item Service iniciando...");
 console.log("Porta:", process.env.PORT || 3003);
@@ -19,8 +56,16 @@ class ItemService {
     this.port = process.env.PORT || 3003;
     this.serviceName = "item-service";
     this.serviceUrl = `http://localhost:${this.port}`;
+    // Versão registrada no registry (roteamento por versão/canary no gateway)
+    this.version = process.env.SERVICE_VERSION || "1.0.0";
+    this.gracefulShutdown = new GracefulShutdown({
+      serviceName: this.serviceName,
+      registry: serviceRegistry,
+      timeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
+    });
 
     this.setupDatabase();
+    this.setupHealthChecks();
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -28,7 +73,22 @@ class ItemService {
 
   setupDatabase() {
     const dbPath = path.join(__dirname, "database");
-    this.itemsDb = new JsonDatabase(dbPath, "items");
+    this.itemsDb = new JsonDatabase(dbPath, "items", {
+      indexes: ["category"],
+      schema: ITEM_SCHEMA,
+      migrations: {
+        directory: path.join(__dirname, "migrations"),
+        dryRun: process.env.MIGRATIONS_DRY_RUN === "true",
+      },
+      snapshots: {
+        intervalMs:
+          Number(process.env.SNAPSHOT_INTERVAL_MS) || 60 * 60 * 1000,
+        retention: { maxCount: Number(process.env.SNAPSHOT_RETENTION) || 24 },
+      },
+    });
+    this.idempotency = new IdempotencyStore(dbPath, {
+      ttlSeconds: Number(process.env.IDEMPOTENCY_TTL_SECONDS) || undefined,
+    });
     console.log("Item Service: Banco NoSQL inicializado");
   }
 
@@ -290,10 +350,9 @@ class ItemService {
           },
         ];
 
-        for (const item of sampleItems) {
-          await this.itemsDb.create(item);
-          console.log(`✅ Item criado: ${item.name}`);
-        }
+        // Uma única gravação para todo o lote
+        await this.itemsDb.insertMany(sampleItems);
+        console.log(`✅ ${sampleItems.length} itens criados`);
 
         console.log("🎉 Itens de exemplo criados no Item Service");
       } else {
@@ -304,40 +363,60 @@ class ItemService {
     }
   }
 
+  setupHealthChecks() {
+    // Readiness: banco gravável
+    this.readiness = new HealthChecks().add(
+      "database",
+      HealthChecks.databaseWritable(this.itemsDb)
+    );
+  }
+
   setupMiddleware() {
+    // Antes de tudo: recusa requisições novas durante o desligamento
+    this.app.use(this.gracefulShutdown.middleware());
     this.app.use(helmet());
     this.app.use(cors());
     this.app.use(morgan("combined"));
     this.app.use(express.json());
+    // POST com Idempotency-Key: repetições (retries do gateway) devolvem a
+    // resposta já dada em vez de executar de novo
+    this.app.use(this.idempotency.middleware());
     this.app.use(express.urlencoded({ extended: true }));
 
     // Service info headers
     this.app.use((req, res, next) => {
       res.setHeader("X-Service", this.serviceName);
-      res.setHeader("X-Service-Version", "1.0.0");
+      res.setHeader("X-Service-Version", this.version);
       res.setHeader("X-Database", "JSON-NoSQL");
       next();
     });
   }
 
   setupRoutes() {
-    // Health check
+    // Health check: liveness + readiness
     this.app.get("/health", async (req, res) => {
       try {
         const itemCount = await this.itemsDb.count();
         const activeItems = await this.itemsDb.count({ active: true });
 
-        res.json({
+        const readiness = await this.readiness.run();
+
+        res.status(readiness.ready ? 200 : 503).json({
           service: this.serviceName,
-          status: "healthy",
+          status: readiness.ready ? "healthy" : "unhealthy",
           timestamp: new Date().toISOString(),
           uptime: process.uptime(),
-          version: "1.0.0",
+          version: this.version,
           database: {
             type: "JSON-NoSQL",
             itemCount: itemCount,
             activeItems: activeItems,
           },
+          liveness: { status: "alive" },
+          readiness: {
+            status: readiness.ready ? "ready" : "not_ready",
+            checks: readiness.checks,
+          },
         });
       } catch (error) {
         res.status(503).json({
@@ -348,20 +427,44 @@ class ItemService {
       }
     });
 
+    // Liveness: o processo está respondendo
+    this.app.get("/health/live", (req, res) => {
+      res.json({
+        service: this.serviceName,
+        status: "alive",
+        uptime: process.uptime(),
+      });
+    });
+
+    // Readiness: pode receber tráfego (usado pelo registry)
+    this.app.get("/health/ready", async (req, res) => {
+      const { ready, checks } = await this.readiness.run();
+      res.status(ready ? 200 : 503).json({
+        service: this.serviceName,
+        status: ready ? "ready" : "not_ready",
+        checks,
+      });
+    });
+
     // Service info
     this.app.get("/", (req, res) => {
       res.json({
         service: "Item Service",
-        version: "1.0.0",
+        version: this.version,
         description: "Microsserviço para gerenciamento de itens",
         database: "JSON-NoSQL",
         endpoints: [
           "GET /items", // ✅ Correto
           "GET /items/:id", // ✅ Correto
           "POST /items", // ✅ Correto
+          "POST /items/bulk",
           "PUT /items/:id", // ✅ Correto
           "GET /categories", // ✅ Correto
+          "GET /stats/categories",
           "GET /search", // ✅ Correto
+          "GET /admin/snapshots",
+          "POST /admin/snapshots",
+          "POST /admin/snapshots/:snapshotId/restore",
         ],
       });
     });
@@ -369,17 +472,40 @@ class ItemService {
     this.app.get("/items", this.getItems.bind(this));
     this.app.get("/items/:id", this.getItem.bind(this));
     this.app.get("/categories", this.getCategories.bind(this));
+    this.app.get("/stats/categories", this.getCategoryStats.bind(this));
     this.app.get("/search", this.searchItems.bind(this));
     this.app.post(
       "/items",
       this.authMiddleware.bind(this),
       this.createItem.bind(this)
     );
+    this.app.post(
+      "/items/bulk",
+      this.authMiddleware.bind(this),
+      this.createItemsBulk.bind(this)
+    );
     this.app.put(
       "/items/:id",
       this.authMiddleware.bind(this),
       this.updateItem.bind(this)
     );
+
+    // Admin routes
+    const adminOnly = [
+      this.authMiddleware.bind(this),
+      this.requireAdmin.bind(this),
+    ];
+    this.app.get("/admin/snapshots", adminOnly, this.getSnapshots.bind(this));
+    this.app.post(
+      "/admin/snapshots",
+      adminOnly,
+      this.createSnapshot.bind(this)
+    );
+    this.app.post(
+      "/admin/snapshots/:snapshotId/restore",
+      adminOnly,
+      this.restoreSnapshot.bind(this)
+    );
   }
 
   setupErrorHandling() {
@@ -413,16 +539,17 @@ class ItemService {
     }
 
     try {
-      // Descobrir User Service
-      const userService = serviceRegistry.discover("user-service");
-
-      // Validar token com User Service
-      const response = await axios.post(
-        `${userService.url}/auth/validate`,
-        {
-          token: authHeader.replace("Bearer ", ""),
-        },
-        { timeout: 5000 }
+      // Validar token com uma instância do User Service
+      const response = await serviceRegistry.withInstance(
+        "user-service",
+        (userService) =>
+          axios.post(
+            `${userService.url}/auth/validate`,
+            {
+              token: authHeader.replace("Bearer ", ""),
+            },
+            { timeout: 5000 }
+          )
       );
 
       if (response.data.success) {
@@ -447,17 +574,41 @@ class ItemService {
   async getItems(req, res) {
     try {
       console.log("📦 Buscando itens...");
-      const { page = 1, limit = 10, category, active = true } = req.query;
+      const {
+        page = 1,
+        limit = 10,
+        category,
+        active = true,
+        minPrice,
+        maxPrice,
+        sort,
+        fields,
+        cursor,
+      } = req.query;
 
       const filter = { active: active === "true" };
       if (category) filter.category = category;
 
+      // Faixa de preço (averagePrice)
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.averagePrice = {};
+        if (minPrice !== undefined) {
+          filter.averagePrice.$gte = parseFloat(minPrice);
+        }
+        if (maxPrice !== undefined) {
+          filter.averagePrice.$lte = parseFloat(maxPrice);
+        }
+      }
+
       console.log("Filtro:", filter);
 
-      const items = await this.itemsDb.find(filter, {
-        skip: (page - 1) * parseInt(limit),
+      // ?sort=category,-name  ?fields=name,category  ?cursor=<nextCursor>
+      const { data: items, nextCursor } = await this.itemsDb.findPage(filter, {
+        skip: cursor ? 0 : (page - 1) * parseInt(limit),
+        after: cursor,
         limit: parseInt(limit),
-        sort: { name: 1 },
+        sort: parseSortParam(sort) || { name: 1 },
+        projection: parseFieldsParam(fields),
       });
 
       const total = await this.itemsDb.count(filter);
@@ -472,9 +623,23 @@ class ItemService {
           limit: parseInt(limit),
           total: total,
           pages: Math.ceil(total / parseInt(limit)),
+          nextCursor,
         },
       });
     } catch (error) {
+      if (error.code === "INVALID_CURSOR") {
+        return res.status(400).json({
+          success: false,
+          message: "Cursor de paginação inválido",
+        });
+      }
+      if (error.code === "INVALID_FIELD") {
+        return res.status(400).json({
+          success: false,
+          message: "Campo inválido em sort ou fields",
+        });
+      }
+
       console.error("❌ Erro ao buscar itens:", error);
       res.status(500).json({
         success: false,
@@ -496,6 +661,7 @@ class ItemService {
         });
       }
 
+      res.setHeader("ETag", etagFor(item));
       res.json({
         success: true,
         data: item,
@@ -512,15 +678,7 @@ class ItemService {
   // Create item
   async createItem(req, res) {
     try {
-      const {
-        name,
-        category,
-        brand,
-        unit,
-        averagePrice,
-        barcode,
-        description,
-      } = req.body;
+      const { name, category } = req.body;
 
       if (!name || !category) {
         return res.status(400).json({
@@ -529,19 +687,7 @@ class ItemService {
         });
       }
 
-      // Criar item
-      const newItem = await this.itemsDb.create({
-        id: uuidv4(),
-        name,
-        category,
-        brand: brand || "",
-        unit: unit || "un",
-        averagePrice: parseFloat(averagePrice) || 0,
-        barcode: barcode || "",
-        description: description || "",
-        active: true,
-        createdAt: new Date().toISOString(),
-      });
+      const newItem = await this.itemsDb.create(this.itemFromBody(req.body));
 
       res.status(201).json({
         success: true,
@@ -549,6 +695,10 @@ class ItemService {
         data: newItem,
       });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
       console.error("Erro ao criar item:", error);
       res.status(500).json({
         success: false,
@@ -557,6 +707,73 @@ class ItemService {
     }
   }
 
+  // Create items in bulk (todos ou nenhum, uma única gravação)
+  async createItemsBulk(req, res) {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Informe uma lista de itens",
+        });
+      }
+
+      if (items.length > MAX_BULK_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          message: `Máximo de ${MAX_BULK_ITEMS} itens por requisição`,
+        });
+      }
+
+      const newItems = await this.itemsDb.insertMany(
+        items.map((item) => this.itemFromBody(item || {}))
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${newItems.length} itens criados com sucesso`,
+        data: newItems,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
+      console.error("Erro ao criar itens em lote:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Helper: novo item a partir do corpo da requisição (campos omitidos
+  // recebem os defaults do schema)
+  itemFromBody(body) {
+    const {
+      name,
+      category,
+      brand,
+      unit,
+      averagePrice,
+      barcode,
+      description,
+    } = body;
+
+    return {
+      id: uuidv4(),
+      name,
+      category,
+      brand,
+      unit,
+      averagePrice:
+        averagePrice !== undefined ? parseFloat(averagePrice) : undefined,
+      barcode,
+      description,
+    };
+  }
+
   // Update item
   async updateItem(req, res) {
     try {
@@ -571,7 +788,21 @@ class ItemService {
         });
       }
 
-      const updatedItem = await this.itemsDb.update(id, updates);
+      // Controle de concorrência otimista (If-Match)
+      const expectedVersion = versionFromIfMatch(req.header("If-Match"));
+      if (expectedVersion !== null && expectedVersion !== item._version) {
+        res.setHeader("ETag", etagFor(item));
+        return res.status(412).json({
+          success: false,
+          message: "O item foi modificado por outra requisição",
+          data: item,
+        });
+      }
+
+      const updatedItem = await this.itemsDb.update(id, updates, {
+        expectedVersion: item._version,
+      });
+      res.setHeader("ETag", etagFor(updatedItem));
 
       res.json({
         success: true,
@@ -579,6 +810,19 @@ class ItemService {
         data: updatedItem,
       });
     } catch (error) {
+      if (error instanceof VersionConflictError) {
+        res.setHeader("ETag", etagFor(error.current));
+        return res.status(409).json({
+          success: false,
+          message: "Conflito de versão: o item foi modificado, tente novamente",
+          data: error.current,
+        });
+      }
+
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
       console.error("Erro ao atualizar item:", error);
       res.status(500).json({
         success: false,
@@ -590,14 +834,15 @@ class ItemService {
   // Get categories
   async getCategories(req, res) {
     try {
-      const items = await this.itemsDb.find({ active: true });
-      const categories = [
-        ...new Set(items.map((item) => item.category)),
-      ].sort();
+      const groups = await this.itemsDb.aggregate([
+        { $match: { active: true } },
+        { $group: { _id: "$category" } },
+        { $sort: { _id: 1 } },
+      ]);
 
       res.json({
         success: true,
-        data: categories,
+        data: groups.map((group) => group._id),
       });
     } catch (error) {
       console.error("Erro ao buscar categorias:", error);
@@ -608,6 +853,50 @@ class ItemService {
     }
   }
 
+  // Estatísticas por categoria (itens ativos)
+  async getCategoryStats(req, res) {
+    try {
+      const stats = await this.itemsDb.aggregate([
+        { $match: { active: true } },
+        {
+          $group: {
+            _id: "$category",
+            itemCount: { $count: {} },
+            averagePrice: { $avg: "$averagePrice" },
+            minPrice: { $min: "$averagePrice" },
+            maxPrice: { $max: "$averagePrice" },
+          },
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            category: "$_id",
+            itemCount: 1,
+            averagePrice: 1,
+            minPrice: 1,
+            maxPrice: 1,
+          },
+        },
+      ]);
+
+      res.json({
+        success: true,
+        data: stats.map((group) => ({
+          ...group,
+          averagePrice: parseFloat(group.averagePrice.toFixed(2)),
+        })),
+        totalItems: stats.reduce((total, group) => total + group.itemCount, 0),
+      });
+    } catch (error) {
+      console.error("Erro ao calcular estatísticas:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
   // Search items
   async searchItems(req, res) {
     try {
@@ -622,9 +911,8 @@ class ItemService {
 
       const filter = {
         active: true,
-        $regex: q,
-        $options: "i",
-        $field: "name", // buscar por nome
+        // buscar por nome (texto literal, sem interpretar como regex)
+        name: { $regex: escapeRegex(q), $options: "i" },
       };
 
       // Filtrar por categoria se fornecida
@@ -655,11 +943,101 @@ class ItemService {
     }
   }
 
+  // Helper: documento rejeitado pelo schema da coleção
+  sendValidationError(res, error) {
+    res.status(400).json({
+      success: false,
+      message: "Dados inválidos",
+      errors: error.errors,
+    });
+  }
+
+  // Admin: listar snapshots do banco
+  async getSnapshots(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.itemsDb.listSnapshots(),
+      });
+    } catch (error) {
+      console.error("Erro ao listar snapshots:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Admin: criar snapshot sob demanda
+  async createSnapshot(req, res) {
+    try {
+      const snapshot = this.itemsDb.snapshot("manual");
+
+      res.status(201).json({
+        success: true,
+        message: "Snapshot criado com sucesso",
+        data: snapshot,
+      });
+    } catch (error) {
+      console.error("Erro ao criar snapshot:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Admin: restaurar a coleção para um snapshot
+  async restoreSnapshot(req, res) {
+    try {
+      const snapshot = this.itemsDb.restoreSnapshot(req.params.snapshotId);
+
+      res.json({
+        success: true,
+        message: "Coleção restaurada a partir do snapshot",
+        data: snapshot,
+      });
+    } catch (error) {
+      if (
+        error.code === "SNAPSHOT_NOT_FOUND" ||
+        error.code === "INVALID_SNAPSHOT"
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Snapshot não encontrado",
+        });
+      }
+      if (error.code === "SNAPSHOT_INCOMPATIBLE") {
+        return res.status(409).json({
+          success: false,
+          message: "Snapshot incompatível com as migrações aplicadas",
+        });
+      }
+
+      console.error("Erro ao restaurar snapshot:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Helper: rotas restritas a administradores
+  requireAdmin(req, res, next) {
+    if (req.user?.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Acesso restrito a administradores",
+      });
+    }
+    next();
+  }
+
   // Register with service registry
   registerWithRegistry() {
     serviceRegistry.register(this.serviceName, {
       url: this.serviceUrl,
-      version: "1.0.0",
+      version: this.version,
       database: "JSON-NoSQL",
       endpoints: ["/health", "/items", "/items/:id", "/categories", "/search"],
     });
@@ -667,13 +1045,26 @@ class ItemService {
 
   // Start health check reporting
   startHealthReporting() {
-    setInterval(() => {
-      serviceRegistry.updateHealth(this.serviceName, true);
+    clearInterval(this.healthReportingTimer);
+    // Heartbeat com o estado real de readiness
+    this.healthReportingTimer = setInterval(async () => {
+      const { ready } = await this.readiness.run();
+      serviceRegistry.updateHealth(this.serviceName, ready);
     }, 30000);
   }
 
+  // Graceful shutdown: sai da descoberta, conclui as requisições em
+  // andamento, grava o banco e remove a instância do registry
+  async stop() {
+    clearInterval(this.healthReportingTimer);
+    await this.gracefulShutdown.run({
+      server: this.server,
+      databases: [this.itemsDb, this.idempotency.db],
+    });
+  }
+
   start() {
-    this.app.listen(this.port, () => {
+    this.server = this.app.listen(this.port, () => {
       console.log("=====================================");
       console.log(`Item Service iniciado na porta ${this.port}`);
       console.log(`URL: ${this.serviceUrl}`);
@@ -698,14 +1089,17 @@ if (require.main === module) {
   itemService.start();
 
   // Graceful shutdown
-  process.on("SIGTERM", () => {
-    serviceRegistry.unregister("item-service");
-    process.exit(0);
-  });
-  process.on("SIGINT", () => {
-    serviceRegistry.unregister("item-service");
-    process.exit(0);
-  });
+  const shutdown = () => {
+    itemService.stop().then(
+      () => process.exit(0),
+      (error) => {
+        console.error("Erro no desligamento:", error);
+        process.exit(1);
+      }
+    );
+  };
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
 }
 
 module.exports = ItemService;
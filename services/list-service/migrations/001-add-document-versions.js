@@ -0,0 +1,12 @@
+// Persist `_version` (optimistic concurrency) on lists written before
+// document versioning existed
+module.exports = {
+  description: "Persist _version on lists written before versioning",
+
+  up: (documents) =>
+    documents.map((list) =>
+      list._version === undefined ? { ...list, _version: 1 } : list
+    ),
+
+  down: (documents) => documents.map(({ _version, ...list }) => list),
+};
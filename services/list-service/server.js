@@ -8,7 +8,70 @@ const axios = require("axios");
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require("../../shared/JsonDatabase");
+const {
+  VersionConflictError,
+  ValidationError,
+} = require("../../shared/DatabaseErrors");
+const { etagFor, versionFromIfMatch } = require("../../shared/etag");
+const {
+  parseSortParam,
+  parseFieldsParam,
+} = require("../../shared/queryOptions");
 const serviceRegistry = require("../../shared/serviceRegistry");
+const GracefulShutdown = require("../../shared/GracefulShutdown");
+const IdempotencyStore = require("../../shared/IdempotencyStore");
+const HealthChecks = require("../../shared/HealthChecks");
+const CircuitBreaker = require("../../shared/CircuitBreaker");
+
+// Schema das listas: validado pelo JsonDatabase em toda gravação
+const LIST_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    itemId: { type: "string", required: true },
+    itemName: { type: "string", required: true },
+    category: { type: "string" },
+    quantity: {
+      type: "number",
+      required: true,
+      validate: (value) => value > 0 || "must be greater than zero",
+    },
+    unit: { type: "string" },
+    estimatedPrice: { type: "number", min: 0, default: 0 },
+    purchased: { type: "boolean", default: false },
+    notes: { type: "string", default: "" },
+    addedAt: { type: "date" },
+    updatedAt: { type: "date" },
+  },
+  strict: true,
+};
+
+const LIST_SCHEMA = {
+  id: { type: "string", required: true, immutable: true },
+  userId: { type: "string", required: true, immutable: true },
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  description: { type: "string", default: "" },
+  status: {
+    type: "string",
+    enum: ["active", "completed", "archived"],
+    default: "active",
+  },
+  items: { type: "array", items: LIST_ITEM_SCHEMA, default: () => [] },
+  summary: {
+    type: "object",
+    properties: {
+      totalItems: { type: "integer", min: 0 },
+      purchasedItems: { type: "integer", min: 0 },
+      estimatedTotal: { type: "number", min: 0 },
+    },
+    default: () => ({ totalItems: 0, purchasedItems: 0, estimatedTotal: 0 }),
+  },
+  createdAt: {
+    type: "date",
+    immutable: true,
+    default: () => new Date().toISOString(),
+  },
+  updatedAt: { type: "date", default: () => new Date().toISOString() },
+};
 
 class ListService {
   constructor() {
@@ -16,8 +79,17 @@ class ListService {
     this.port = process.env.PORT || 3002;
     this.serviceName = "list-service";
     this.serviceUrl = `http://localhost:${this.port}`;
+    // Versão registrada no registry (roteamento por versão/canary no gateway)
+    this.version = process.env.SERVICE_VERSION || "1.0.0";
+    this.gracefulShutdown = new GracefulShutdown({
+      serviceName: this.serviceName,
+      registry: serviceRegistry,
+      timeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
+    });
 
     this.setupDatabase();
+    this.setupHealthChecks();
+    this.setupCircuitBreakers();
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -25,44 +97,108 @@ class ListService {
 
   setupDatabase() {
     const dbPath = path.join(__dirname, "database");
-    this.listsDb = new JsonDatabase(dbPath, "lists");
+    // Listas embutem todos os itens: log de operações evita reescrever o arquivo
+    this.listsDb = new JsonDatabase(dbPath, "lists", {
+      storage: "log",
+      indexes: ["userId"],
+      schema: LIST_SCHEMA,
+      migrations: {
+        directory: path.join(__dirname, "migrations"),
+        dryRun: process.env.MIGRATIONS_DRY_RUN === "true",
+      },
+      snapshots: {
+        intervalMs:
+          Number(process.env.SNAPSHOT_INTERVAL_MS) || 60 * 60 * 1000,
+        retention: { maxCount: Number(process.env.SNAPSHOT_RETENTION) || 24 },
+      },
+    });
+    this.idempotency = new IdempotencyStore(dbPath, {
+      ttlSeconds: Number(process.env.IDEMPOTENCY_TTL_SECONDS) || undefined,
+    });
     console.log("List Service: Banco NoSQL inicializado");
   }
 
+  setupHealthChecks() {
+    // Readiness: banco gravável e serviços dos quais depende
+    this.readiness = new HealthChecks()
+      .add("database", HealthChecks.databaseWritable(this.listsDb))
+      .add(
+        "user-service",
+        HealthChecks.dependency(serviceRegistry, "user-service")
+      )
+      .add(
+        "item-service",
+        HealthChecks.dependency(serviceRegistry, "item-service")
+      );
+  }
+
+  setupCircuitBreakers() {
+    // Chamadas ao User Service e ao Item Service; respostas 4xx não contam
+    // como falha
+    this.circuitBreakers = new CircuitBreaker.Group(
+      CircuitBreaker.configFromEnv()
+    );
+    this.circuitBreakers.on("stateChange", ({ name, from, to }) => {
+      console.warn(`Circuit breaker de ${name}: ${from} -> ${to}`);
+    });
+    this.circuitBreakers.for("user-service");
+    this.circuitBreakers.for("item-service");
+  }
+
+  // Helper: chamada a uma instância de outro serviço, via circuit breaker
+  callService(serviceName, fn) {
+    return this.circuitBreakers
+      .for(serviceName)
+      .execute(() => serviceRegistry.withInstance(serviceName, fn));
+  }
+
   setupMiddleware() {
+    // Antes de tudo: recusa requisições novas durante o desligamento
+    this.app.use(this.gracefulShutdown.middleware());
     this.app.use(helmet());
     this.app.use(cors());
     this.app.use(morgan("combined"));
     this.app.use(express.json());
+    // POST com Idempotency-Key: repetições (retries do gateway) devolvem a
+    // resposta já dada em vez de executar de novo
+    this.app.use(this.idempotency.middleware());
     this.app.use(express.urlencoded({ extended: true }));
 
     // Service info headers
     this.app.use((req, res, next) => {
       res.setHeader("X-Service", this.serviceName);
-      res.setHeader("X-Service-Version", "1.0.0");
+      res.setHeader("X-Service-Version", this.version);
       res.setHeader("X-Database", "JSON-NoSQL");
       next();
     });
   }
 
   setupRoutes() {
-    // Health check
+    // Health check: liveness + readiness
     this.app.get("/health", async (req, res) => {
       try {
         const listCount = await this.listsDb.count();
         const activeLists = await this.listsDb.count({ status: "active" });
 
-        res.json({
+        const readiness = await this.readiness.run();
+
+        res.status(readiness.ready ? 200 : 503).json({
           service: this.serviceName,
-          status: "healthy",
+          status: readiness.ready ? "healthy" : "unhealthy",
           timestamp: new Date().toISOString(),
           uptime: process.uptime(),
-          version: "1.0.0",
+          version: this.version,
           database: {
             type: "JSON-NoSQL",
             listCount: listCount,
             activeLists: activeLists,
           },
+          liveness: { status: "alive" },
+          readiness: {
+            status: readiness.ready ? "ready" : "not_ready",
+            checks: readiness.checks,
+          },
+          circuitBreakers: this.circuitBreakers.snapshot(),
         });
       } catch (error) {
         res.status(503).json({
@@ -73,11 +209,41 @@ class ListService {
       }
     });
 
+    // Liveness: o processo está respondendo
+    this.app.get("/health/live", (req, res) => {
+      res.json({
+        service: this.serviceName,
+        status: "alive",
+        uptime: process.uptime(),
+      });
+    });
+
+    // Readiness: pode receber tráfego (usado pelo registry)
+    this.app.get("/health/ready", async (req, res) => {
+      const { ready, checks } = await this.readiness.run();
+      res.status(ready ? 200 : 503).json({
+        service: this.serviceName,
+        status: ready ? "ready" : "not_ready",
+        checks,
+      });
+    });
+
+    // Métricas dos circuit breakers
+    this.app.get("/metrics", (req, res) => {
+      res.json({
+        success: true,
+        data: {
+          timestamp: new Date().toISOString(),
+          circuitBreakers: this.circuitBreakers.snapshot(),
+        },
+      });
+    });
+
     // Service info
     this.app.get("/", (req, res) => {
       res.json({
         service: "List Service",
-        version: "1.0.0",
+        version: this.version,
         description: "Microsserviço para gerenciamento de listas de compras",
         database: "JSON-NoSQL",
         endpoints: [
@@ -87,9 +253,17 @@ class ListService {
           "PUT /lists/:id",
           "DELETE /lists/:id",
           "POST /lists/:id/items",
+          "PATCH /lists/:id/items",
           "PUT /lists/:id/items/:itemId",
           "DELETE /lists/:id/items/:itemId",
+          "POST /lists/:id/items/:itemId/move",
           "GET /lists/:id/summary",
+          "GET /lists/:id/events",
+          "GET /stats",
+          "GET /admin/snapshots",
+          "POST /admin/snapshots",
+          "POST /admin/snapshots/:snapshotId/restore",
+          "GET /metrics",
         ],
       });
     });
@@ -97,6 +271,23 @@ class ListService {
     // Todas as rotas precisam de autenticação
     this.app.use(this.authMiddleware.bind(this));
 
+    // Admin routes (antes de /:id)
+    const adminOnly = this.requireAdmin.bind(this);
+    this.app.get("/admin/snapshots", adminOnly, this.getSnapshots.bind(this));
+    this.app.post(
+      "/admin/snapshots",
+      adminOnly,
+      this.createSnapshot.bind(this)
+    );
+    this.app.post(
+      "/admin/snapshots/:snapshotId/restore",
+      adminOnly,
+      this.restoreSnapshot.bind(this)
+    );
+
+    // Statistics route (antes de /:id)
+    this.app.get("/stats", this.getStats.bind(this)); // GET /stats
+
     // List routes - CORRIGIDO: rotas na raiz
     this.app.post("/", this.createList.bind(this)); // POST /
     this.app.get("/", this.getLists.bind(this)); // GET /
@@ -106,11 +297,16 @@ class ListService {
 
     // List items routes
     this.app.post("/:id/items", this.addItemToList.bind(this)); // POST /:id/items
+    this.app.patch("/:id/items", this.updateItemsInList.bind(this)); // PATCH /:id/items
     this.app.put("/:id/items/:itemId", this.updateItemInList.bind(this)); // PUT /:id/items/:itemId
     this.app.delete("/:id/items/:itemId", this.removeItemFromList.bind(this)); // DELETE /:id/items/:itemId
+    this.app.post("/:id/items/:itemId/move", this.moveItemToList.bind(this)); // POST /:id/items/:itemId/move
 
     // Summary route
     this.app.get("/:id/summary", this.getListSummary.bind(this)); // GET /:id/summary
+
+    // Realtime route (Server-Sent Events)
+    this.app.get("/:id/events", this.streamListEvents.bind(this)); // GET /:id/events
   }
 
   setupErrorHandling() {
@@ -144,21 +340,22 @@ class ListService {
     }
 
     try {
-      // ✅ CORRIGIDO: Usar URL hardcoded como fallback
-      const userServiceUrl = "http://localhost:3001";
-
-      // Validar token com User Service
-      const response = await axios.post(
-        `${userServiceUrl}/auth/validate`,
-        {
-          token: authHeader.replace("Bearer ", ""),
-        },
-        {
-          timeout: 5000,
-          headers: {
-            "Content-Type": "application/json",
-          },
-        }
+      // Validar token com uma instância do User Service
+      const response = await this.callService(
+        "user-service",
+        (userService) =>
+          axios.post(
+            `${userService.url}/auth/validate`,
+            {
+              token: authHeader.replace("Bearer ", ""),
+            },
+            {
+              timeout: 5000,
+              headers: {
+                "Content-Type": "application/json",
+              },
+            }
+          )
       );
 
       if (response.data.success) {
@@ -171,6 +368,12 @@ class ListService {
         });
       }
     } catch (error) {
+      if (error.response?.status === 401) {
+        return res.status(401).json({
+          success: false,
+          message: "Token inválido",
+        });
+      }
       console.error("Erro na validação do token:", error.message);
       res.status(503).json({
         success: false,
@@ -191,21 +394,12 @@ class ListService {
         });
       }
 
-      // Criar lista
+      // Criar lista (status, itens, sumário e datas vêm dos defaults do schema)
       const newList = await this.listsDb.create({
         id: uuidv4(),
         userId: req.user.id,
         name,
-        description: description || "",
-        status: "active",
-        items: [],
-        summary: {
-          totalItems: 0,
-          purchasedItems: 0,
-          estimatedTotal: 0,
-        },
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
+        description,
       });
 
       res.status(201).json({
@@ -214,6 +408,10 @@ class ListService {
         data: newList,
       });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
       console.error("Erro ao criar lista:", error);
       res.status(500).json({
         success: false,
@@ -225,7 +423,7 @@ class ListService {
   // Get user's lists
   async getLists(req, res) {
     try {
-      const { status } = req.query;
+      const { status, itemId, sort, fields, limit, cursor } = req.query;
 
       const filter = { userId: req.user.id };
 
@@ -234,15 +432,43 @@ class ListService {
         filter.status = status;
       }
 
-      const lists = await this.listsDb.find(filter, {
-        sort: { updatedAt: -1 },
+      // Apenas listas que contêm um determinado item do catálogo
+      if (itemId) {
+        filter.items = { $elemMatch: { itemId } };
+      }
+
+      // ?fields=-items devolve só o resumo das listas
+      const { data: lists, nextCursor } = await this.listsDb.findPage(filter, {
+        sort: parseSortParam(sort) || { updatedAt: -1 },
+        projection: parseFieldsParam(fields),
+        limit: limit ? parseInt(limit) : undefined,
+        after: cursor,
       });
 
-      res.json({
+      const response = {
         success: true,
         data: lists,
-      });
+      };
+
+      if (limit) {
+        response.pagination = { limit: parseInt(limit), nextCursor };
+      }
+
+      res.json(response);
     } catch (error) {
+      if (error.code === "INVALID_CURSOR") {
+        return res.status(400).json({
+          success: false,
+          message: "Cursor de paginação inválido",
+        });
+      }
+      if (error.code === "INVALID_FIELD") {
+        return res.status(400).json({
+          success: false,
+          message: "Campo inválido em sort ou fields",
+        });
+      }
+
       console.error("Erro ao buscar listas:", error);
       res.status(500).json({
         success: false,
@@ -272,6 +498,7 @@ class ListService {
         });
       }
 
+      res.setHeader("ETag", etagFor(list));
       res.json({
         success: true,
         data: list,
@@ -307,6 +534,9 @@ class ListService {
         });
       }
 
+      // Controle de concorrência otimista (If-Match)
+      if (!this.checkIfMatch(req, res, list)) return;
+
       // Preparar atualizações
       const updates = {};
       if (name) updates.name = name;
@@ -315,7 +545,10 @@ class ListService {
 
       updates.updatedAt = new Date().toISOString();
 
-      const updatedList = await this.listsDb.update(id, updates);
+      const updatedList = await this.listsDb.update(id, updates, {
+        expectedVersion: list._version,
+      });
+      res.setHeader("ETag", etagFor(updatedList));
 
       res.json({
         success: true,
@@ -323,6 +556,14 @@ class ListService {
         data: updatedList,
       });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
+      if (error instanceof VersionConflictError) {
+        return this.sendVersionConflict(res, error);
+      }
+
       console.error("Erro ao atualizar lista:", error);
       res.status(500).json({
         success: false,
@@ -352,13 +593,20 @@ class ListService {
         });
       }
 
-      await this.listsDb.delete(id);
+      // Controle de concorrência otimista (If-Match)
+      if (!this.checkIfMatch(req, res, list)) return;
+
+      await this.listsDb.delete(id, { expectedVersion: list._version });
 
       res.json({
         success: true,
         message: "Lista excluída com sucesso",
       });
     } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return this.sendVersionConflict(res, error);
+      }
+
       console.error("Erro ao excluir lista:", error);
       res.status(500).json({
         success: false,
@@ -396,13 +644,17 @@ class ListService {
         });
       }
 
+      // Controle de concorrência otimista (If-Match)
+      if (!this.checkIfMatch(req, res, list)) return;
+
       // Buscar informações do item no Item Service
       let itemInfo;
       try {
-        const itemService = serviceRegistry.discover("item-service");
-        const response = await axios.get(`${itemService.url}/items/${itemId}`, {
-          timeout: 5000,
-        });
+        const response = await this.callService(
+          "item-service",
+          (itemService) =>
+            axios.get(`${itemService.url}/items/${itemId}`, { timeout: 5000 })
+        );
 
         if (response.data.success) {
           itemInfo = response.data.data;
@@ -413,6 +665,12 @@ class ListService {
           });
         }
       } catch (error) {
+        if (error.response?.status === 404) {
+          return res.status(404).json({
+            success: false,
+            message: "Item não encontrado no catálogo",
+          });
+        }
         console.error("Erro ao buscar item:", error.message);
         return res.status(503).json({
           success: false,
@@ -438,6 +696,7 @@ class ListService {
         list.items.push({
           itemId: itemInfo.id,
           itemName: itemInfo.name,
+          category: itemInfo.category,
           quantity: parseFloat(quantity) || 1,
           unit: itemInfo.unit,
           estimatedPrice: itemInfo.averagePrice,
@@ -452,7 +711,10 @@ class ListService {
       list.summary = this.calculateSummary(list.items);
       list.updatedAt = new Date().toISOString();
 
-      const updatedList = await this.listsDb.update(id, list);
+      const updatedList = await this.listsDb.update(id, list, {
+        expectedVersion: list._version,
+      });
+      res.setHeader("ETag", etagFor(updatedList));
 
       res.status(201).json({
         success: true,
@@ -460,6 +722,14 @@ class ListService {
         data: updatedList,
       });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
+      if (error instanceof VersionConflictError) {
+        return this.sendVersionConflict(res, error);
+      }
+
       console.error("Erro ao adicionar item à lista:", error);
       res.status(500).json({
         success: false,
@@ -490,6 +760,9 @@ class ListService {
         });
       }
 
+      // Controle de concorrência otimista (If-Match)
+      if (!this.checkIfMatch(req, res, list)) return;
+
       // Encontrar o item na lista
       const itemIndex = list.items.findIndex((item) => item.itemId === itemId);
       if (itemIndex === -1) {
@@ -511,7 +784,10 @@ class ListService {
       list.summary = this.calculateSummary(list.items);
       list.updatedAt = new Date().toISOString();
 
-      const updatedList = await this.listsDb.update(id, list);
+      const updatedList = await this.listsDb.update(id, list, {
+        expectedVersion: list._version,
+      });
+      res.setHeader("ETag", etagFor(updatedList));
 
       res.json({
         success: true,
@@ -519,6 +795,14 @@ class ListService {
         data: updatedList,
       });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
+      if (error instanceof VersionConflictError) {
+        return this.sendVersionConflict(res, error);
+      }
+
       console.error("Erro ao atualizar item na lista:", error);
       res.status(500).json({
         success: false,
@@ -527,6 +811,102 @@ class ListService {
     }
   }
 
+  // Batch check-off: marca (ou desmarca) vários itens de uma vez. Sem
+  // itemIds, vale para todos os itens da lista.
+  async updateItemsInList(req, res) {
+    try {
+      const { id } = req.params;
+      const { itemIds, purchased } = req.body;
+
+      if (typeof purchased !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "Campo purchased (true/false) é obrigatório",
+        });
+      }
+
+      if (itemIds !== undefined && !Array.isArray(itemIds)) {
+        return res.status(400).json({
+          success: false,
+          message: "itemIds deve ser uma lista de IDs",
+        });
+      }
+
+      const list = await this.listsDb.findById(id);
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          message: "Lista não encontrada",
+        });
+      }
+
+      // Verificar se o usuário tem acesso à lista
+      if (list.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Acesso negado a esta lista",
+        });
+      }
+
+      // Controle de concorrência otimista (If-Match)
+      if (!this.checkIfMatch(req, res, list)) return;
+
+      const selected = itemIds ? new Set(itemIds) : null;
+      const missing = itemIds
+        ? itemIds.filter(
+            (itemId) => !list.items.some((item) => item.itemId === itemId)
+          )
+        : [];
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Itens não encontrados na lista",
+          data: missing,
+        });
+      }
+
+      // Atualizar os itens selecionados
+      const now = new Date().toISOString();
+      let updatedCount = 0;
+      for (const item of list.items) {
+        if (selected && !selected.has(item.itemId)) continue;
+        if (item.purchased === purchased) continue;
+        item.purchased = purchased;
+        item.updatedAt = now;
+        updatedCount++;
+      }
+
+      // Atualizar sumário
+      list.summary = this.calculateSummary(list.items);
+      list.updatedAt = now;
+
+      const updatedList = await this.listsDb.update(id, list, {
+        expectedVersion: list._version,
+      });
+      res.setHeader("ETag", etagFor(updatedList));
+
+      res.json({
+        success: true,
+        message: `${updatedCount} itens atualizados na lista`,
+        data: updatedList,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
+      if (error instanceof VersionConflictError) {
+        return this.sendVersionConflict(res, error);
+      }
+
+      console.error("Erro ao atualizar itens da lista:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
   // Remove item from list
   async removeItemFromList(req, res) {
     try {
@@ -548,6 +928,9 @@ class ListService {
         });
       }
 
+      // Controle de concorrência otimista (If-Match)
+      if (!this.checkIfMatch(req, res, list)) return;
+
       // Filtrar o item a ser removido
       list.items = list.items.filter((item) => item.itemId !== itemId);
 
@@ -555,7 +938,10 @@ class ListService {
       list.summary = this.calculateSummary(list.items);
       list.updatedAt = new Date().toISOString();
 
-      const updatedList = await this.listsDb.update(id, list);
+      const updatedList = await this.listsDb.update(id, list, {
+        expectedVersion: list._version,
+      });
+      res.setHeader("ETag", etagFor(updatedList));
 
       res.json({
         success: true,
@@ -563,6 +949,14 @@ class ListService {
         data: updatedList,
       });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
+      if (error instanceof VersionConflictError) {
+        return this.sendVersionConflict(res, error);
+      }
+
       console.error("Erro ao remover item da lista:", error);
       res.status(500).json({
         success: false,
@@ -571,6 +965,91 @@ class ListService {
     }
   }
 
+  // Move item to another list (as duas listas mudam juntas ou nenhuma muda)
+  async moveItemToList(req, res) {
+    try {
+      const { id, itemId } = req.params;
+      const { targetListId } = req.body;
+
+      if (!targetListId || targetListId === id) {
+        return res.status(400).json({
+          success: false,
+          message: "ID de uma lista de destino diferente é obrigatório",
+        });
+      }
+
+      const result = await this.listsDb.transaction(async (tx) => {
+        const source = await tx.findById(id);
+        const target = await tx.findById(targetListId);
+
+        if (!source || !target) {
+          return { status: 404, message: "Lista não encontrada" };
+        }
+
+        // Verificar se o usuário tem acesso às duas listas
+        if (source.userId !== req.user.id || target.userId !== req.user.id) {
+          return { status: 403, message: "Acesso negado a esta lista" };
+        }
+
+        const item = source.items.find((item) => item.itemId === itemId);
+        if (!item) {
+          return { status: 404, message: "Item não encontrado na lista" };
+        }
+
+        const now = new Date().toISOString();
+        source.items = source.items.filter((item) => item.itemId !== itemId);
+
+        const existing = target.items.find((entry) => entry.itemId === itemId);
+        if (existing) {
+          existing.quantity += item.quantity;
+          existing.updatedAt = now;
+        } else {
+          target.items.push({ ...item, updatedAt: now });
+        }
+
+        for (const list of [source, target]) {
+          list.summary = this.calculateSummary(list.items);
+          list.updatedAt = now;
+        }
+
+        return {
+          status: 200,
+          data: {
+            source: await tx.update(id, source),
+            target: await tx.update(targetListId, target),
+          },
+        };
+      });
+
+      if (result.status !== 200) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Item movido para a outra lista",
+        data: result.data,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return this.sendValidationError(res, error);
+      }
+
+      if (error instanceof VersionConflictError) {
+        return this.sendVersionConflict(res, error);
+      }
+
+      console.error("Erro ao mover item entre listas:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
   // Get list summary
   async getListSummary(req, res) {
     try {
@@ -608,6 +1087,205 @@ class ListService {
     }
   }
 
+  // Estatísticas das listas do usuário (pipeline de agregação no banco)
+  async getStats(req, res) {
+    try {
+      const match = { $match: { userId: req.user.id } };
+
+      const [byStatus, spendByCategory, recentLists] = await Promise.all([
+        this.listsDb.aggregate([
+          match,
+          {
+            $group: {
+              _id: "$status",
+              lists: { $count: {} },
+              estimatedTotal: { $sum: "$summary.estimatedTotal" },
+            },
+          },
+        ]),
+        this.listsDb.aggregate([
+          match,
+          { $unwind: "$items" },
+          {
+            $group: {
+              _id: "$items.category",
+              items: { $count: {} },
+              quantity: { $sum: "$items.quantity" },
+              estimatedSpend: {
+                $sum: {
+                  $multiply: ["$items.estimatedPrice", "$items.quantity"],
+                },
+              },
+            },
+          },
+          { $sort: { estimatedSpend: -1 } },
+        ]),
+        this.listsDb.aggregate([
+          match,
+          { $sort: { updatedAt: -1 } },
+          { $limit: 5 },
+          {
+            $project: {
+              name: 1,
+              status: 1,
+              itemCount: "$summary.totalItems",
+              purchasedCount: "$summary.purchasedItems",
+              estimatedTotal: "$summary.estimatedTotal",
+              updatedAt: 1,
+            },
+          },
+        ]),
+      ]);
+
+      const countFor = (status) =>
+        byStatus.find((group) => group._id === status)?.lists || 0;
+      const estimatedTotal = byStatus.reduce(
+        (total, group) => total + group.estimatedTotal,
+        0
+      );
+
+      res.json({
+        success: true,
+        data: {
+          statistics: {
+            totalLists: byStatus.reduce(
+              (total, group) => total + group.lists,
+              0
+            ),
+            activeLists: countFor("active"),
+            completedLists: countFor("completed"),
+            archivedLists: countFor("archived"),
+            totalEstimated: parseFloat(estimatedTotal.toFixed(2)),
+          },
+          // Itens adicionados antes do registro de categoria ficam em "Outros"
+          spendByCategory: spendByCategory.map((group) => ({
+            category: group._id || "Outros",
+            items: group.items,
+            quantity: group.quantity,
+            estimatedSpend: parseFloat(group.estimatedSpend.toFixed(2)),
+          })),
+          recentLists,
+        },
+      });
+    } catch (error) {
+      console.error("Erro ao calcular estatísticas:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Stream list changes (Server-Sent Events). Reconexões com Last-Event-ID
+  // retomam a partir do último evento recebido.
+  async streamListEvents(req, res) {
+    try {
+      const { id } = req.params;
+
+      const list = await this.listsDb.findById(id);
+      if (!list) {
+        return res.status(404).json({
+          success: false,
+          message: "Lista não encontrada",
+        });
+      }
+
+      // Verificar se o usuário tem acesso à lista
+      if (list.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: "Acesso negado a esta lista",
+        });
+      }
+
+      let stream;
+      let resumed = false;
+      const lastEventId = req.header("Last-Event-ID");
+      try {
+        stream = this.listsDb.watch({ id }, { resumeAfter: lastEventId });
+        resumed = Boolean(lastEventId);
+      } catch (error) {
+        if (error.code !== "CHANGE_STREAM_HISTORY_LOST") throw error;
+        // Histórico insuficiente: recomeça com um snapshot completo
+        stream = this.listsDb.watch({ id });
+      }
+
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+
+      const send = (event, seq, data) => {
+        const payload = JSON.stringify(data);
+        res.write(`event: ${event}\nid: ${seq}\ndata: ${payload}\n\n`);
+      };
+
+      if (!resumed) {
+        send("snapshot", this.listsDb.changes.seq, { list });
+      }
+
+      stream.on("change", (change) => {
+        send(change.type, change.seq, { list: change.after });
+        if (change.type === "delete") res.end();
+      });
+
+      const keepAlive = setInterval(() => res.write(": ping\n\n"), 25000);
+
+      const cleanup = () => {
+        clearInterval(keepAlive);
+        stream.close();
+      };
+      req.on("close", cleanup);
+      res.on("finish", cleanup);
+      // Desligamento do serviço: o cliente reconecta com Last-Event-ID
+      stream.on("close", () => res.end());
+    } catch (error) {
+      console.error("Erro ao abrir stream da lista:", error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: "Erro interno do servidor",
+        });
+      }
+    }
+  }
+
+  // Helper: valida o cabeçalho If-Match contra a versão atual da lista
+  checkIfMatch(req, res, list) {
+    const expectedVersion = versionFromIfMatch(req.header("If-Match"));
+    if (expectedVersion === null || expectedVersion === list._version) {
+      return true;
+    }
+
+    res.setHeader("ETag", etagFor(list));
+    res.status(412).json({
+      success: false,
+      message: "A lista foi modificada por outra requisição",
+      data: list,
+    });
+    return false;
+  }
+
+  // Helper: documento rejeitado pelo schema da coleção
+  sendValidationError(res, error) {
+    res.status(400).json({
+      success: false,
+      message: "Dados inválidos",
+      errors: error.errors,
+    });
+  }
+
+  // Helper: lista alterada entre a leitura e a gravação
+  sendVersionConflict(res, error) {
+    res.setHeader("ETag", etagFor(error.current));
+    res.status(409).json({
+      success: false,
+      message: "Conflito de versão: a lista foi modificada, tente novamente",
+      data: error.current,
+    });
+  }
+
   // Helper: Calculate list summary
   calculateSummary(items) {
     const totalItems = items.length;
@@ -623,11 +1301,92 @@ class ListService {
     };
   }
 
+  // Admin: listar snapshots do banco
+  async getSnapshots(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.listsDb.listSnapshots(),
+      });
+    } catch (error) {
+      console.error("Erro ao listar snapshots:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Admin: criar snapshot sob demanda
+  async createSnapshot(req, res) {
+    try {
+      const snapshot = this.listsDb.snapshot("manual");
+
+      res.status(201).json({
+        success: true,
+        message: "Snapshot criado com sucesso",
+        data: snapshot,
+      });
+    } catch (error) {
+      console.error("Erro ao criar snapshot:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Admin: restaurar a coleção para um snapshot
+  async restoreSnapshot(req, res) {
+    try {
+      const snapshot = this.listsDb.restoreSnapshot(req.params.snapshotId);
+
+      res.json({
+        success: true,
+        message: "Coleção restaurada a partir do snapshot",
+        data: snapshot,
+      });
+    } catch (error) {
+      if (
+        error.code === "SNAPSHOT_NOT_FOUND" ||
+        error.code === "INVALID_SNAPSHOT"
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Snapshot não encontrado",
+        });
+      }
+      if (error.code === "SNAPSHOT_INCOMPATIBLE") {
+        return res.status(409).json({
+          success: false,
+          message: "Snapshot incompatível com as migrações aplicadas",
+        });
+      }
+
+      console.error("Erro ao restaurar snapshot:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Helper: rotas restritas a administradores
+  requireAdmin(req, res, next) {
+    if (req.user?.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Acesso restrito a administradores",
+      });
+    }
+    next();
+  }
+
   // Register with service registry
   registerWithRegistry() {
     serviceRegistry.register(this.serviceName, {
       url: this.serviceUrl,
-      version: "1.0.0",
+      version: this.version,
       database: "JSON-NoSQL",
       endpoints: [
         "/health",
@@ -640,13 +1399,26 @@ class ListService {
 
   // Start health check reporting
   startHealthReporting() {
-    setInterval(() => {
-      serviceRegistry.updateHealth(this.serviceName, true);
+    clearInterval(this.healthReportingTimer);
+    // Heartbeat com o estado real de readiness
+    this.healthReportingTimer = setInterval(async () => {
+      const { ready } = await this.readiness.run();
+      serviceRegistry.updateHealth(this.serviceName, ready);
     }, 30000);
   }
 
+  // Graceful shutdown: sai da descoberta, conclui as requisições em
+  // andamento, grava o banco e remove a instância do registry
+  async stop() {
+    clearInterval(this.healthReportingTimer);
+    await this.gracefulShutdown.run({
+      server: this.server,
+      databases: [this.listsDb, this.idempotency.db],
+    });
+  }
+
   start() {
-    this.app.listen(this.port, () => {
+    this.server = this.app.listen(this.port, () => {
       console.log("=====================================");
       console.log(`List Service iniciado na porta ${this.port}`);
       console.log(`URL: ${this.serviceUrl}`);
@@ -667,14 +1439,17 @@ if (require.main === module) {
   listService.start();
 
   // Graceful shutdown
-  process.on("SIGTERM", () => {
-    serviceRegistry.unregister("list-service");
-    process.exit(0);
-  });
-  process.on("SIGINT", () => {
-    serviceRegistry.unregister("list-service");
-    process.exit(0);
-  });
+  const shutdown = () => {
+    listService.stop().then(
+      () => process.exit(0),
+      (error) => {
+        console.error("Erro no desligamento:", error);
+        process.exit(1);
+      }
+    );
+  };
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
 }
 
 module.exports = ListService;
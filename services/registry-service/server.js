@@ -0,0 +1,521 @@
+const express = require("express");
+const cors = require("cors");
+const helmet = require("helmet");
+const morgan = require("morgan");
+const axios = require("axios");
+const crypto = require("crypto");
+
+// Tempo sem heartbeat após o qual um serviço é removido do registry
+const HEARTBEAT_TIMEOUT_MS =
+  Number(process.env.HEARTBEAT_TIMEOUT_MS) || 2 * 60 * 1000;
+
+// Nomes de serviço e ids de instância aceitos nas rotas, e.g.
+// "item-service" e "item-service@localhost:3003"
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9][\w.@:-]{0,127}$/;
+
+// Token exigido nas rotas que alteram o registry (registro, heartbeat,
+// drenagem, remoção), enviado pelos serviços como "Authorization: Bearer".
+// Sem ele só clientes locais podem alterar o registry, e em produção o
+// serviço não inicia.
+const REGISTRY_TOKEN = process.env.SERVICE_REGISTRY_TOKEN || null;
+
+// Hosts aceitos na URL das instâncias ("*" aceita qualquer um): o gateway
+// encaminha tráfego de clientes e a sondagem faz requisições para essas URLs
+const ALLOWED_HOSTS = (
+  process.env.REGISTRY_ALLOWED_HOSTS || "localhost,127.0.0.1,[::1]"
+)
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+// Intervalo dos comentários de keepalive no stream de mudanças
+const EVENTS_KEEPALIVE_MS = 25000;
+
+// Sondagem ativa da readiness de cada instância: fica "failing" após
+// unhealthyThreshold falhas seguidas e volta a "passing" após
+// healthyThreshold sucessos seguidos
+const HEALTH_PROBE = {
+  enabled: process.env.HEALTH_PROBE_ENABLED !== "false",
+  path: process.env.HEALTH_PROBE_PATH || "/health/ready",
+  intervalMs: Number(process.env.HEALTH_PROBE_INTERVAL_MS) || 10000,
+  timeoutMs: Number(process.env.HEALTH_PROBE_TIMEOUT_MS) || 2000,
+  unhealthyThreshold:
+    Number(process.env.HEALTH_PROBE_UNHEALTHY_THRESHOLD) || 3,
+  healthyThreshold: Number(process.env.HEALTH_PROBE_HEALTHY_THRESHOLD) || 2,
+};
+
+class RegistryService {
+  constructor() {
+    this.app = express();
+    this.port = process.env.PORT || 3004;
+    this.serviceName = "registry-service";
+    this.serviceUrl = `http://localhost:${this.port}`;
+
+    if (!REGISTRY_TOKEN) {
+      if (process.env.NODE_ENV === "production") {
+        throw new Error("SERVICE_REGISTRY_TOKEN obrigatório em produção");
+      }
+      console.warn(
+        "SERVICE_REGISTRY_TOKEN não definido: apenas clientes locais podem alterar o registry"
+      );
+    }
+
+    // Map serviço -> Map instanceId -> instância, apenas em memória: após um
+    // restart as instâncias se registram novamente no próximo heartbeat
+    this.services = new Map();
+    // Respostas abertas em GET /events
+    this.changeStreams = new Set();
+
+    this.setupMiddleware();
+    this.setupRoutes();
+    this.setupErrorHandling();
+    this.startCleanup();
+    this.startHealthProbing();
+  }
+
+  setupMiddleware() {
+    this.app.use(helmet());
+    this.app.use(cors());
+    this.app.use(morgan("combined"));
+    this.app.use(express.json());
+
+    // Service info headers
+    this.app.use((req, res, next) => {
+      res.setHeader("X-Service", this.serviceName);
+      res.setHeader("X-Service-Version", "1.0.0");
+      next();
+    });
+  }
+
+  setupRoutes() {
+    // Health check
+    this.app.get("/health", (req, res) => {
+      res.json({
+        service: this.serviceName,
+        status: "healthy",
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        version: "1.0.0",
+        registeredServices: this.services.size,
+        registeredInstances: [...this.services.values()].reduce(
+          (total, instances) => total + instances.size,
+          0
+        ),
+        healthProbe: HEALTH_PROBE,
+      });
+    });
+
+    // Service info
+    this.app.get("/", (req, res) => {
+      res.json({
+        service: "Registry Service",
+        version: "1.0.0",
+        description: "Registro e descoberta de microsserviços via HTTP",
+        endpoints: [
+          "GET /services",
+          "GET /events",
+          "GET /services/:name",
+          "PUT /services/:name/instances/:instanceId",
+          "PUT /services/:name/instances/:instanceId/health",
+          "PUT /services/:name/instances/:instanceId/draining",
+          "DELETE /services/:name/instances/:instanceId",
+        ],
+      });
+    });
+
+    // Nome e id vêm da URL: só identificadores simples
+    for (const param of ["name", "instanceId"]) {
+      this.app.param(param, (req, res, next, value) => {
+        if (!IDENTIFIER_PATTERN.test(value)) {
+          return res.status(400).json({
+            success: false,
+            message: `Parâmetro ${param} inválido`,
+          });
+        }
+        next();
+      });
+    }
+
+    this.app.get("/services", this.getAllServices.bind(this));
+    this.app.get("/events", this.streamChanges.bind(this));
+    this.app.get("/services/:name", this.getInstances.bind(this));
+
+    const authorized = this.requireToken.bind(this);
+    this.app.put(
+      "/services/:name/instances/:instanceId",
+      authorized,
+      this.register.bind(this)
+    );
+    this.app.put(
+      "/services/:name/instances/:instanceId/health",
+      authorized,
+      this.updateHealth.bind(this)
+    );
+    this.app.put(
+      "/services/:name/instances/:instanceId/draining",
+      authorized,
+      this.markDraining.bind(this)
+    );
+    this.app.delete(
+      "/services/:name/instances/:instanceId",
+      authorized,
+      this.unregister.bind(this)
+    );
+  }
+
+  setupErrorHandling() {
+    this.app.use("*", (req, res) => {
+      res.status(404).json({
+        success: false,
+        message: "Endpoint não encontrado",
+        service: this.serviceName,
+      });
+    });
+
+    this.app.use((error, req, res, next) => {
+      console.error("Registry Service Error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do serviço",
+        service: this.serviceName,
+      });
+    });
+  }
+
+  // Middleware: exige o token do registry. Sem token configurado, aceita só
+  // conexões locais e que não venham de um navegador (header Origin), para
+  // que uma página aberta na máquina não altere o registry.
+  requireToken(req, res, next) {
+    if (!REGISTRY_TOKEN) {
+      if (
+        LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress) &&
+        !req.headers.origin
+      ) {
+        return next();
+      }
+      return res.status(403).json({
+        success: false,
+        message: "Registry aceita alterações apenas de clientes locais",
+      });
+    }
+
+    const header = req.header("Authorization") || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+    const expected = Buffer.from(REGISTRY_TOKEN);
+    const received = Buffer.from(token);
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: "Token do registry inválido",
+      });
+    }
+    next();
+  }
+
+  getAllServices(req, res) {
+    const data = {};
+    for (const [name, instances] of this.services) {
+      data[name] = Object.fromEntries(instances);
+    }
+    res.json({ success: true, data });
+  }
+
+  // Server-Sent Events com cada mudança de instância, para os clientes
+  // invalidarem seus caches de descoberta:
+  //   event: change
+  //   data: {"type":"registered","service":"item-service","instanceId":"..."}
+  streamChanges(req, res) {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache");
+    res.setHeader("Connection", "keep-alive");
+    res.flushHeaders();
+    res.write(": conectado\n\n");
+
+    const keepalive = setInterval(
+      () => res.write(": keepalive\n\n"),
+      EVENTS_KEEPALIVE_MS
+    );
+    this.changeStreams.add(res);
+    req.on("close", () => {
+      clearInterval(keepalive);
+      this.changeStreams.delete(res);
+    });
+  }
+
+  publishChange(type, service, instanceId) {
+    const event = JSON.stringify({
+      type,
+      service,
+      instanceId,
+      timestamp: new Date().toISOString(),
+    });
+    for (const res of this.changeStreams) {
+      res.write(`event: change\ndata: ${event}\n\n`);
+    }
+  }
+
+  // Todas as instâncias do serviço, saudáveis ou não
+  getInstances(req, res) {
+    const instances = this.services.get(req.params.name);
+    if (!instances) {
+      return res.status(404).json({
+        success: false,
+        message: "Serviço não encontrado",
+      });
+    }
+    res.json({ success: true, data: [...instances.values()] });
+  }
+
+  // Registra (ou substitui) uma instância
+  register(req, res) {
+    const { name, instanceId } = req.params;
+    const serviceInfo = req.body || {};
+
+    if (typeof serviceInfo.url !== "string" || !serviceInfo.url) {
+      return res.status(400).json({
+        success: false,
+        message: "URL do serviço obrigatória",
+      });
+    }
+    const url = instanceOrigin(serviceInfo.url);
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        message: "URL do serviço deve ser http(s)://host[:porta] de um host permitido",
+      });
+    }
+
+    if (!this.services.has(name)) this.services.set(name, new Map());
+    const instances = this.services.get(name);
+    const previous = instances.get(instanceId);
+    const now = new Date().toISOString();
+
+    // Uma instância que se registra de novo (restart) mantém o resultado da
+    // sondagem: se estava "failing", só volta à descoberta depois que as
+    // sondagens passarem
+    const instance = {
+      ...serviceInfo,
+      url,
+      instanceId,
+      registeredAt: now,
+      lastHealthCheck: now,
+      healthy: previous ? previous.healthy : true,
+      reportedHealthy: true,
+      probe: previous
+        ? previous.probe
+        : {
+            status: "unknown",
+            consecutiveFailures: 0,
+            consecutiveSuccesses: 0,
+            lastProbeAt: null,
+            lastError: null,
+          },
+    };
+    instances.set(instanceId, instance);
+    this.refreshHealth(name, instance);
+
+    console.log(
+      `Instância registrada: ${name}/${instanceId} -> ${serviceInfo.url}`
+    );
+    this.publishChange("registered", name, instanceId);
+    res
+      .status(previous ? 200 : 201)
+      .json({ success: true, data: instance });
+  }
+
+  updateHealth(req, res) {
+    const { name, instanceId } = req.params;
+    const instance = this.services.get(name)?.get(instanceId);
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: "Instância não encontrada",
+      });
+    }
+
+    const { healthy } = req.body || {};
+    if (typeof healthy !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "Campo healthy deve ser booleano",
+      });
+    }
+
+    // O heartbeat traz a readiness informada pela própria instância; a
+    // sondagem ativa pode mantê-la fora da descoberta mesmo assim
+    instance.reportedHealthy = healthy;
+    instance.lastHealthCheck = new Date().toISOString();
+    this.refreshHealth(name, instance);
+    res.json({ success: true, data: instance });
+  }
+
+  // healthy = readiness informada no heartbeat e sondagem sem falhas
+  refreshHealth(name, instance) {
+    const healthy =
+      instance.reportedHealthy !== false &&
+      instance.probe?.status !== "failing";
+    if (instance.healthy !== healthy) {
+      console.log(
+        `Instância ${instance.instanceId} marcada como ${
+          healthy ? "saudável" : "não saudável"
+        }`
+      );
+      instance.healthy = healthy;
+      this.publishChange("health", name, instance.instanceId);
+    }
+  }
+
+  // Instância em desligamento: continua listada, mas fora da descoberta
+  markDraining(req, res) {
+    const { name, instanceId } = req.params;
+    const instance = this.services.get(name)?.get(instanceId);
+    if (!instance) {
+      return res.status(404).json({
+        success: false,
+        message: "Instância não encontrada",
+      });
+    }
+
+    instance.draining = true;
+    console.log(`Instância em drenagem: ${instanceId}`);
+    this.publishChange("draining", name, instanceId);
+    res.json({ success: true, data: instance });
+  }
+
+  unregister(req, res) {
+    const { name, instanceId } = req.params;
+    const instances = this.services.get(name);
+    if (!instances?.has(instanceId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Instância não encontrada",
+      });
+    }
+
+    instances.delete(instanceId);
+    if (instances.size === 0) this.services.delete(name);
+
+    console.log(`Instância removida: ${name}/${instanceId}`);
+    this.publishChange("unregistered", name, instanceId);
+    res.json({ success: true, message: "Instância removida" });
+  }
+
+  // Remove instâncias que pararam de enviar heartbeat
+  startCleanup() {
+    setInterval(() => {
+      const now = Date.now();
+      for (const [name, instances] of this.services) {
+        for (const [instanceId, instance] of instances) {
+          if (
+            now - Date.parse(instance.lastHealthCheck) >
+            HEARTBEAT_TIMEOUT_MS
+          ) {
+            console.log(`Removendo instância inativa: ${instanceId}`);
+            instances.delete(instanceId);
+            this.publishChange("expired", name, instanceId);
+          }
+        }
+        if (instances.size === 0) this.services.delete(name);
+      }
+    }, Math.min(HEARTBEAT_TIMEOUT_MS, 60000));
+  }
+
+  startHealthProbing() {
+    if (!HEALTH_PROBE.enabled) return;
+
+    let running = false;
+    setInterval(async () => {
+      // Uma rodada lenta não se sobrepõe à seguinte
+      if (running) return;
+      running = true;
+      try {
+        const probes = [...this.services].flatMap(([name, instances]) =>
+          [...instances.values()].map((instance) =>
+            this.probeInstance(name, instance)
+          )
+        );
+        await Promise.all(probes);
+      } finally {
+        running = false;
+      }
+    }, HEALTH_PROBE.intervalMs);
+  }
+
+  async probeInstance(name, instance) {
+    const { probe } = instance;
+    try {
+      await axios.get(`${instance.url}${HEALTH_PROBE.path}`, {
+        timeout: HEALTH_PROBE.timeoutMs,
+      });
+      probe.consecutiveSuccesses++;
+      probe.consecutiveFailures = 0;
+      probe.lastError = null;
+      if (
+        probe.status === "unknown" ||
+        probe.consecutiveSuccesses >= HEALTH_PROBE.healthyThreshold
+      ) {
+        probe.status = "passing";
+      }
+    } catch (error) {
+      probe.consecutiveFailures++;
+      probe.consecutiveSuccesses = 0;
+      probe.lastError = error.response
+        ? `HTTP ${error.response.status}`
+        : error.message;
+      if (probe.consecutiveFailures >= HEALTH_PROBE.unhealthyThreshold) {
+        probe.status = "failing";
+      }
+    }
+    probe.lastProbeAt = new Date().toISOString();
+    this.refreshHealth(name, instance);
+  }
+
+  start() {
+    this.app.listen(this.port, () => {
+      console.log("=====================================");
+      console.log(`Registry Service iniciado na porta ${this.port}`);
+      console.log(`URL: ${this.serviceUrl}`);
+      console.log(`Health: ${this.serviceUrl}/health`);
+      console.log("=====================================");
+    });
+  }
+}
+
+// Origem (http(s)://host[:porta]) de uma URL de instância, ou null se ela
+// tiver outro protocolo, credenciais, caminho ou um host não permitido
+function instanceOrigin(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  if (
+    !["http:", "https:"].includes(url.protocol) ||
+    url.username ||
+    url.password ||
+    url.pathname !== "/" ||
+    url.search ||
+    url.hash
+  ) {
+    return null;
+  }
+  if (!ALLOWED_HOSTS.includes("*") && !ALLOWED_HOSTS.includes(url.hostname)) {
+    return null;
+  }
+  return url.origin;
+}
+
+// Start service
+if (require.main === module) {
+  const registryService = new RegistryService();
+  registryService.start();
+}
+
+module.exports = RegistryService;
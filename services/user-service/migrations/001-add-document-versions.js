@@ -0,0 +1,12 @@
+// Persist `_version` (optimistic concurrency) on users written before
+// document versioning existed
+module.exports = {
+  description: "Persist _version on users written before versioning",
+
+  up: (documents) =>
+    documents.map((user) =>
+      user._version === undefined ? { ...user, _version: 1 } : user
+    ),
+
+  down: (documents) => documents.map(({ _version, ...user }) => user),
+};
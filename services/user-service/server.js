@@ -9,7 +9,53 @@ const path = require("path");
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require("../../shared/JsonDatabase");
+const { encryptionKeysFromEnv } = require("../../shared/FieldEncryption");
+const {
+  DuplicateKeyError,
+  ValidationError,
+} = require("../../shared/DatabaseErrors");
 const serviceRegistry = require("../../shared/serviceRegistry");
+const GracefulShutdown = require("../../shared/GracefulShutdown");
+const HealthChecks = require("../../shared/HealthChecks");
+
+// Dados pessoais criptografados em disco (AES-GCM); o índice de email usa
+// hash (blind index), então buscas por email continuam funcionando
+const ENCRYPTED_FIELDS = ["email", "firstName", "lastName", "preferences"];
+
+// Schema dos usuários: validado pelo JsonDatabase em toda gravação
+const USER_SCHEMA = {
+  id: { type: "string", required: true, immutable: true },
+  email: {
+    type: "string",
+    required: true,
+    validate: (value) =>
+      /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || "must be a valid email",
+  },
+  username: { type: "string", required: true, minLength: 3, maxLength: 50 },
+  password: { type: "string", required: true },
+  firstName: { type: "string", required: true, minLength: 1 },
+  lastName: { type: "string", required: true, minLength: 1 },
+  preferences: {
+    type: "object",
+    properties: {
+      defaultStore: { type: "string" },
+      currency: { type: "string", minLength: 3, maxLength: 3 },
+    },
+    default: () => ({ defaultStore: "Mercado", currency: "BRL" }),
+  },
+  role: { type: "string", enum: ["user", "admin"], default: "user" },
+  status: {
+    type: "string",
+    enum: ["active", "inactive"],
+    default: "active",
+  },
+  createdAt: {
+    type: "date",
+    immutable: true,
+    default: () => new Date().toISOString(),
+  },
+  updatedAt: { type: "date", default: () => new Date().toISOString() },
+};
 
 class UserService {
   constructor() {
@@ -17,8 +63,16 @@ class UserService {
     this.port = process.env.PORT || 3001;
     this.serviceName = "user-service";
     this.serviceUrl = `http://localhost:${this.port}`;
+    // Versão registrada no registry (roteamento por versão/canary no gateway)
+    this.version = process.env.SERVICE_VERSION || "1.0.0";
+    this.gracefulShutdown = new GracefulShutdown({
+      serviceName: this.serviceName,
+      registry: serviceRegistry,
+      timeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000,
+    });
 
     this.setupDatabase();
+    this.setupHealthChecks();
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -29,7 +83,23 @@ class UserService {
 
   setupDatabase() {
     const dbPath = path.join(__dirname, "database");
-    this.usersDb = new JsonDatabase(dbPath, "users");
+    this.usersDb = new JsonDatabase(dbPath, "users", {
+      indexes: [
+        { field: "email", unique: true },
+        { field: "username", unique: true },
+      ],
+      schema: USER_SCHEMA,
+      migrations: {
+        directory: path.join(__dirname, "migrations"),
+        dryRun: process.env.MIGRATIONS_DRY_RUN === "true",
+      },
+      snapshots: {
+        intervalMs:
+          Number(process.env.SNAPSHOT_INTERVAL_MS) || 60 * 60 * 1000,
+        retention: { maxCount: Number(process.env.SNAPSHOT_RETENTION) || 24 },
+      },
+      encryption: { fields: ENCRYPTED_FIELDS, ...encryptionKeysFromEnv() },
+    });
     console.log("User Service: Banco NoSQL inicializado");
   }
 
@@ -67,7 +137,17 @@ class UserService {
     }, 1000);
   }
 
+  setupHealthChecks() {
+    // Readiness: banco gravável
+    this.readiness = new HealthChecks().add(
+      "database",
+      HealthChecks.databaseWritable(this.usersDb)
+    );
+  }
+
   setupMiddleware() {
+    // Antes de tudo: recusa requisições novas durante o desligamento
+    this.app.use(this.gracefulShutdown.middleware());
     this.app.use(helmet());
     this.app.use(cors());
     this.app.use(morgan("combined"));
@@ -77,27 +157,34 @@ class UserService {
     // Service info headers
     this.app.use((req, res, next) => {
       res.setHeader("X-Service", this.serviceName);
-      res.setHeader("X-Service-Version", "1.0.0");
+      res.setHeader("X-Service-Version", this.version);
       res.setHeader("X-Database", "JSON-NoSQL");
       next();
     });
   }
 
   setupRoutes() {
-    // Health check
+    // Health check: liveness + readiness
     this.app.get("/health", async (req, res) => {
       try {
         const userCount = await this.usersDb.count();
-        res.json({
+        const readiness = await this.readiness.run();
+
+        res.status(readiness.ready ? 200 : 503).json({
           service: this.serviceName,
-          status: "healthy",
+          status: readiness.ready ? "healthy" : "unhealthy",
           timestamp: new Date().toISOString(),
           uptime: process.uptime(),
-          version: "1.0.0",
+          version: this.version,
           database: {
             type: "JSON-NoSQL",
             userCount: userCount,
           },
+          liveness: { status: "alive" },
+          readiness: {
+            status: readiness.ready ? "ready" : "not_ready",
+            checks: readiness.checks,
+          },
         });
       } catch (error) {
         res.status(503).json({
@@ -108,11 +195,30 @@ class UserService {
       }
     });
 
+    // Liveness: o processo está respondendo
+    this.app.get("/health/live", (req, res) => {
+      res.json({
+        service: this.serviceName,
+        status: "alive",
+        uptime: process.uptime(),
+      });
+    });
+
+    // Readiness: pode receber tráfego (usado pelo registry)
+    this.app.get("/health/ready", async (req, res) => {
+      const { ready, checks } = await this.readiness.run();
+      res.status(ready ? 200 : 503).json({
+        service: this.serviceName,
+        status: ready ? "ready" : "not_ready",
+        checks,
+      });
+    });
+
     // Service info
     this.app.get("/", (req, res) => {
       res.json({
         service: "User Service",
-        version: "1.0.0",
+        version: this.version,
         description: "Microsserviço para gerenciamento de usuários",
         database: "JSON-NoSQL",
         endpoints: [
@@ -121,6 +227,9 @@ class UserService {
           "POST /auth/validate",
           "GET /users/:id",
           "PUT /users/:id",
+          "GET /admin/snapshots",
+          "POST /admin/snapshots",
+          "POST /admin/snapshots/:snapshotId/restore",
         ],
       });
     });
@@ -141,6 +250,23 @@ class UserService {
       this.authMiddleware.bind(this),
       this.updateUser.bind(this)
     );
+
+    // Admin routes
+    const adminOnly = [
+      this.authMiddleware.bind(this),
+      this.requireAdmin.bind(this),
+    ];
+    this.app.get("/admin/snapshots", adminOnly, this.getSnapshots.bind(this));
+    this.app.post(
+      "/admin/snapshots",
+      adminOnly,
+      this.createSnapshot.bind(this)
+    );
+    this.app.post(
+      "/admin/snapshots/:snapshotId/restore",
+      adminOnly,
+      this.restoreSnapshot.bind(this)
+    );
   }
 
   setupErrorHandling() {
@@ -205,32 +331,10 @@ class UserService {
         });
       }
 
-      // Verificar se usuário já existe
-      const existingEmail = await this.usersDb.findOne({
-        email: email.toLowerCase(),
-      });
-      const existingUsername = await this.usersDb.findOne({
-        username: username.toLowerCase(),
-      });
-
-      if (existingEmail) {
-        return res.status(409).json({
-          success: false,
-          message: "Email já está em uso",
-        });
-      }
-
-      if (existingUsername) {
-        return res.status(409).json({
-          success: false,
-          message: "Username já está em uso",
-        });
-      }
-
       // Hash password
       const hashedPassword = await bcrypt.hash(password, 12);
 
-      // Criar usuário
+      // Criar usuário (preferências, papel, status e datas vêm do schema)
       const newUser = await this.usersDb.create({
         id: uuidv4(),
         email: email.toLowerCase(),
@@ -238,14 +342,7 @@ class UserService {
         password: hashedPassword,
         firstName,
         lastName,
-        preferences: preferences || {
-          defaultStore: "Mercado",
-          currency: "BRL",
-        },
-        role: "user",
-        status: "active",
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
+        preferences,
       });
 
       const { password: _, ...userWithoutPassword } = newUser;
@@ -267,6 +364,22 @@ class UserService {
         data: { user: userWithoutPassword, token },
       });
     } catch (error) {
+      // Índices únicos de email/username garantem a unicidade no banco
+      if (error instanceof DuplicateKeyError) {
+        return res.status(409).json({
+          success: false,
+          message: this.duplicateFieldMessage(error.field),
+        });
+      }
+
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: "Dados inválidos",
+          errors: error.errors,
+        });
+      }
+
       console.error("Erro no registro:", error);
       res.status(500).json({
         success: false,
@@ -458,6 +571,21 @@ class UserService {
         data: userWithoutPassword,
       });
     } catch (error) {
+      if (error instanceof DuplicateKeyError) {
+        return res.status(409).json({
+          success: false,
+          message: this.duplicateFieldMessage(error.field),
+        });
+      }
+
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: "Dados inválidos",
+          errors: error.errors,
+        });
+      }
+
       console.error("Erro ao atualizar usuário:", error);
       res.status(500).json({
         success: false,
@@ -466,11 +594,99 @@ class UserService {
     }
   }
 
+  // Helper: mensagem de conflito para índices únicos
+  duplicateFieldMessage(field) {
+    return field === "email"
+      ? "Email já está em uso"
+      : "Username já está em uso";
+  }
+
+  // Admin: listar snapshots do banco
+  async getSnapshots(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: this.usersDb.listSnapshots(),
+      });
+    } catch (error) {
+      console.error("Erro ao listar snapshots:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Admin: criar snapshot sob demanda
+  async createSnapshot(req, res) {
+    try {
+      const snapshot = this.usersDb.snapshot("manual");
+
+      res.status(201).json({
+        success: true,
+        message: "Snapshot criado com sucesso",
+        data: snapshot,
+      });
+    } catch (error) {
+      console.error("Erro ao criar snapshot:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Admin: restaurar a coleção para um snapshot
+  async restoreSnapshot(req, res) {
+    try {
+      const snapshot = this.usersDb.restoreSnapshot(req.params.snapshotId);
+
+      res.json({
+        success: true,
+        message: "Coleção restaurada a partir do snapshot",
+        data: snapshot,
+      });
+    } catch (error) {
+      if (
+        error.code === "SNAPSHOT_NOT_FOUND" ||
+        error.code === "INVALID_SNAPSHOT"
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Snapshot não encontrado",
+        });
+      }
+      if (error.code === "SNAPSHOT_INCOMPATIBLE") {
+        return res.status(409).json({
+          success: false,
+          message: "Snapshot incompatível com as migrações aplicadas",
+        });
+      }
+
+      console.error("Erro ao restaurar snapshot:", error);
+      res.status(500).json({
+        success: false,
+        message: "Erro interno do servidor",
+      });
+    }
+  }
+
+  // Helper: rotas restritas a administradores
+  requireAdmin(req, res, next) {
+    if (req.user?.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Acesso restrito a administradores",
+      });
+    }
+    next();
+  }
+
   // Register with service registry
   registerWithRegistry() {
     serviceRegistry.register(this.serviceName, {
       url: this.serviceUrl,
-      version: "1.0.0",
+      version: this.version,
       database: "JSON-NoSQL",
       endpoints: ["/health", "/auth/register", "/auth/login", "/users/:id"],
     });
@@ -478,13 +694,26 @@ class UserService {
 
   // Start health check reporting
   startHealthReporting() {
-    setInterval(() => {
-      serviceRegistry.updateHealth(this.serviceName, true);
+    clearInterval(this.healthReportingTimer);
+    // Heartbeat com o estado real de readiness
+    this.healthReportingTimer = setInterval(async () => {
+      const { ready } = await this.readiness.run();
+      serviceRegistry.updateHealth(this.serviceName, ready);
     }, 30000);
   }
 
+  // Graceful shutdown: sai da descoberta, conclui as requisições em
+  // andamento, grava o banco e remove a instância do registry
+  async stop() {
+    clearInterval(this.healthReportingTimer);
+    await this.gracefulShutdown.run({
+      server: this.server,
+      databases: [this.usersDb],
+    });
+  }
+
   start() {
-    this.app.listen(this.port, () => {
+    this.server = this.app.listen(this.port, () => {
       console.log("=====================================");
       console.log(`User Service iniciado na porta ${this.port}`);
       console.log(`URL: ${this.serviceUrl}`);
@@ -507,14 +736,17 @@ if (require.main === module) {
   userService.start();
 
   // Graceful shutdown
-  process.on("SIGTERM", () => {
-    serviceRegistry.unregister("user-service");
-    process.exit(0);
-  });
-  process.on("SIGINT", () => {
-    serviceRegistry.unregister("user-service");
-    process.exit(0);
-  });
+  const shutdown = () => {
+    userService.stop().then(
+      () => process.exit(0),
+      (error) => {
+        console.error("Erro no desligamento:", error);
+        process.exit(1);
+      }
+    );
+  };
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
 }
 
 module.exports = UserService;
@@ -0,0 +1,129 @@
+const EventEmitter = require("events");
+const { DatabaseError } = require("./DatabaseErrors");
+const { matchesFilter } = require("./queryMatcher");
+
+const DEFAULT_HISTORY_SIZE = 1000;
+
+// In-process change notifications for one JsonDatabase collection. Every
+// committed insert/update/delete gets a sequence number and is delivered to
+// the open streams whose filter matches it. The last `historySize` events
+// are kept so a subscriber can resume after the last sequence it saw.
+//
+// Event shape:
+//   { seq, type: "insert" | "update" | "delete", collection, documentId,
+//     before, after, timestamp }
+class ChangeFeed {
+  constructor(collectionName, options = {}) {
+    this.collectionName = collectionName;
+    this.historySize = options.historySize || DEFAULT_HISTORY_SIZE;
+    this.seq = 0;
+    this.history = [];
+    this.streams = new Set();
+  }
+
+  publish(type, before, after) {
+    const event = {
+      seq: ++this.seq,
+      type,
+      collection: this.collectionName,
+      documentId: (after || before).id,
+      before: before ? clone(before) : null,
+      after: after ? clone(after) : null,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) this.history.shift();
+
+    for (const stream of this.streams) {
+      stream.deliver(event);
+    }
+    return event;
+  }
+
+  watch(filter = {}, options = {}) {
+    const stream = new ChangeStream(this, filter);
+
+    if (options.resumeAfter !== undefined && options.resumeAfter !== null) {
+      const resumeAfter = Number(options.resumeAfter);
+      const oldest =
+        this.history.length > 0 ? this.history[0].seq : this.seq + 1;
+      if (
+        Number.isNaN(resumeAfter) ||
+        resumeAfter < oldest - 1 ||
+        resumeAfter > this.seq
+      ) {
+        throw new DatabaseError(
+          `Cannot resume change stream after ${resumeAfter}`,
+          "CHANGE_STREAM_HISTORY_LOST"
+        );
+      }
+
+      // Replay missed events once the caller has attached its listeners;
+      // live events arriving meanwhile queue up behind them
+      stream.backlog = this.history.filter((event) => event.seq > resumeAfter);
+      process.nextTick(() => stream.flushBacklog());
+    }
+
+    this.streams.add(stream);
+    return stream;
+  }
+
+  // Close every open stream (shutdown); subscribers see their "close" event
+  closeAll() {
+    for (const stream of [...this.streams]) stream.close();
+  }
+}
+
+// Emits "change" for every matching event. The filter is matched against
+// the document after the change (before it, for deletes).
+class ChangeStream extends EventEmitter {
+  constructor(feed, filter) {
+    super();
+    this.feed = feed;
+    this.filter = filter;
+    this.closed = false;
+    this.lastSeq = null;
+    this.backlog = null;
+  }
+
+  deliver(event) {
+    if (this.closed) return;
+    if (this.backlog) {
+      this.backlog.push(event);
+      return;
+    }
+    if (this.lastSeq !== null && event.seq <= this.lastSeq) return;
+
+    const doc = event.after || event.before;
+    if (!matchesFilter(doc, this.filter)) return;
+
+    this.lastSeq = event.seq;
+    try {
+      this.emit("change", event);
+    } catch (error) {
+      // A failing subscriber must never break the write that triggered it
+      console.error("Change stream listener error:", error);
+    }
+  }
+
+  flushBacklog() {
+    const backlog = this.backlog || [];
+    this.backlog = null;
+    backlog.forEach((event) => this.deliver(event));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.feed.streams.delete(this);
+    this.emit("close");
+    this.removeAllListeners();
+  }
+}
+
+function clone(item) {
+  return JSON.parse(JSON.stringify(item));
+}
+
+module.exports = ChangeFeed;
@@ -0,0 +1,276 @@
+const EventEmitter = require("events");
+
+const CLOSED = "CLOSED";
+const OPEN = "OPEN";
+const HALF_OPEN = "HALF_OPEN";
+
+const DEFAULTS = {
+  // Rolling window over which the error rate is computed
+  windowMs: 30000,
+  windowBuckets: 10,
+  // Fewer calls than this in the window never open the circuit
+  minimumRequests: 5,
+  errorThresholdPercent: 50,
+  // Time spent OPEN before trial calls are let through
+  openDurationMs: 30000,
+  // Concurrent trial calls in HALF_OPEN; that many successes close it
+  halfOpenMaxTrials: 1,
+};
+
+// Circuit breaker around calls to one dependency:
+//
+//   const breaker = new CircuitBreaker("item-service", { windowMs: 10000 });
+//   breaker.on("stateChange", ({ from, to }) => ...);
+//   const response = await breaker.execute(() => axios.get(url));
+//
+// CLOSED: calls go through; once the window holds `minimumRequests` calls
+// and at least `errorThresholdPercent` of them failed, it opens. OPEN:
+// calls fail fast with CircuitOpenError for `openDurationMs`. HALF_OPEN: up
+// to `halfOpenMaxTrials` calls at a time are let through; one failure opens
+// it again, `halfOpenMaxTrials` successes close it with an empty window.
+//
+// By default any thrown error is a failure except a response with a 4xx
+// status (error.response.status, as thrown by axios): the dependency
+// answered, the request was wrong. `isFailure(error)` and
+// `isFailureResult(result)` override the classification per call.
+class CircuitBreaker extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = { ...DEFAULTS, ...options };
+    this.state = CLOSED;
+    this.buckets = [];
+    this.openedAt = null;
+    this.halfOpen = { inFlight: 0, successes: 0 };
+    // Bumped on every transition, so a call settles against the state it
+    // was admitted in
+    this.generation = 0;
+    this.totals = { successes: 0, failures: 0, rejected: 0 };
+    this.lastStateChange = null;
+  }
+
+  async execute(fn, classify = {}) {
+    const {
+      isFailure = defaultIsFailure,
+      isFailureResult = () => false,
+    } = classify;
+
+    const admission = this.admit();
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      this.settle(admission, isFailure(error));
+      throw error;
+    }
+    this.settle(admission, isFailureResult(result));
+    return result;
+  }
+
+  // Throws CircuitOpenError when the call may not go through
+  admit() {
+    if (this.state === OPEN && this.retryAt() <= Date.now()) {
+      this.transition(HALF_OPEN);
+    }
+
+    if (
+      this.state === OPEN ||
+      (this.state === HALF_OPEN &&
+        this.halfOpen.inFlight >= this.options.halfOpenMaxTrials)
+    ) {
+      this.totals.rejected++;
+      throw new CircuitOpenError(this.name, this.state);
+    }
+
+    if (this.state === HALF_OPEN) this.halfOpen.inFlight++;
+    return { state: this.state, generation: this.generation };
+  }
+
+  settle(admission, failed) {
+    if (failed) this.totals.failures++;
+    else this.totals.successes++;
+
+    // Calls that finish after the state they were admitted in changed (e.g.
+    // admitted CLOSED, finished after the circuit opened) do not count
+    if (admission.generation !== this.generation) return;
+
+    if (admission.state === HALF_OPEN) {
+      this.halfOpen.inFlight--;
+      if (failed) {
+        this.transition(OPEN);
+      } else if (++this.halfOpen.successes >= this.options.halfOpenMaxTrials) {
+        this.transition(CLOSED);
+      }
+      return;
+    }
+
+    this.record(failed);
+
+    const { requests, errorRatePercent } = this.windowStats();
+    if (
+      requests >= this.options.minimumRequests &&
+      errorRatePercent >= this.options.errorThresholdPercent
+    ) {
+      this.transition(OPEN);
+    }
+  }
+
+  record(failed) {
+    const bucketMs = this.options.windowMs / this.options.windowBuckets;
+    const start = Math.floor(Date.now() / bucketMs) * bucketMs;
+    this.prune();
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, failures: 0 };
+      this.buckets.push(bucket);
+    }
+    bucket.requests++;
+    if (failed) bucket.failures++;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.options.windowMs;
+    while (this.buckets.length > 0 && this.buckets[0].start <= cutoff) {
+      this.buckets.shift();
+    }
+  }
+
+  windowStats() {
+    this.prune();
+    const requests = this.buckets.reduce((sum, b) => sum + b.requests, 0);
+    const failures = this.buckets.reduce((sum, b) => sum + b.failures, 0);
+    return {
+      requests,
+      failures,
+      errorRatePercent:
+        requests > 0 ? Math.round((failures / requests) * 1000) / 10 : 0,
+    };
+  }
+
+  retryAt() {
+    return this.openedAt + this.options.openDurationMs;
+  }
+
+  transition(to) {
+    const from = this.state;
+    if (from === to) return;
+
+    this.state = to;
+    this.generation++;
+    this.halfOpen = { inFlight: 0, successes: 0 };
+    if (to === OPEN) this.openedAt = Date.now();
+    if (to === CLOSED) {
+      this.openedAt = null;
+      this.buckets = [];
+    }
+    this.lastStateChange = new Date().toISOString();
+
+    this.emit("stateChange", {
+      name: this.name,
+      from,
+      to,
+      at: this.lastStateChange,
+    });
+  }
+
+  snapshot() {
+    // An expired OPEN state is reported as what the next call will see
+    if (this.state === OPEN && this.retryAt() <= Date.now()) {
+      this.transition(HALF_OPEN);
+    }
+
+    return {
+      name: this.name,
+      state: this.state,
+      window: this.windowStats(),
+      openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+      retryAt:
+        this.state === OPEN ? new Date(this.retryAt()).toISOString() : null,
+      halfOpen: this.state === HALF_OPEN ? { ...this.halfOpen } : null,
+      totals: { ...this.totals },
+      lastStateChange: this.lastStateChange,
+      options: this.options,
+    };
+  }
+}
+
+function defaultIsFailure(error) {
+  const status = error.response?.status;
+  return !(status >= 400 && status < 500);
+}
+
+// One breaker per dependency, created on first use, with per-service
+// options over shared defaults. State changes of every breaker are
+// re-emitted as "stateChange".
+class CircuitBreakerGroup extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.defaults = config.defaults || {};
+    this.services = config.services || {};
+    this.breakers = new Map();
+  }
+
+  for(name) {
+    if (!this.breakers.has(name)) {
+      const breaker = new CircuitBreaker(name, {
+        ...this.defaults,
+        ...this.services[name],
+      });
+      breaker.on("stateChange", (change) => this.emit("stateChange", change));
+      this.breakers.set(name, breaker);
+    }
+    return this.breakers.get(name);
+  }
+
+  snapshot() {
+    const result = {};
+    for (const [name, breaker] of this.breakers) {
+      result[name] = breaker.snapshot();
+    }
+    return result;
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(name, state) {
+    super(`Circuit breaker ${state} for ${name}`);
+    this.name = "CircuitOpenError";
+    this.code = "CIRCUIT_OPEN";
+    this.service = name;
+    this.state = state;
+  }
+}
+
+// Options from the environment:
+//   CIRCUIT_BREAKER_WINDOW_MS, CIRCUIT_BREAKER_MIN_REQUESTS,
+//   CIRCUIT_BREAKER_ERROR_THRESHOLD (percent), CIRCUIT_BREAKER_TIMEOUT (ms
+//   spent OPEN), CIRCUIT_BREAKER_HALF_OPEN_TRIALS
+//   CIRCUIT_BREAKERS='{"item-service":{"errorThresholdPercent":25}}'
+function configFromEnv(env = process.env) {
+  const defaults = {};
+  const variables = {
+    windowMs: "CIRCUIT_BREAKER_WINDOW_MS",
+    minimumRequests: "CIRCUIT_BREAKER_MIN_REQUESTS",
+    errorThresholdPercent: "CIRCUIT_BREAKER_ERROR_THRESHOLD",
+    openDurationMs: "CIRCUIT_BREAKER_TIMEOUT",
+    halfOpenMaxTrials: "CIRCUIT_BREAKER_HALF_OPEN_TRIALS",
+  };
+  for (const [option, variable] of Object.entries(variables)) {
+    if (env[variable]) defaults[option] = Number(env[variable]);
+  }
+
+  return {
+    defaults,
+    services: env.CIRCUIT_BREAKERS ? JSON.parse(env.CIRCUIT_BREAKERS) : {},
+  };
+}
+
+CircuitBreaker.CLOSED = CLOSED;
+CircuitBreaker.OPEN = OPEN;
+CircuitBreaker.HALF_OPEN = HALF_OPEN;
+CircuitBreaker.Group = CircuitBreakerGroup;
+CircuitBreaker.CircuitOpenError = CircuitOpenError;
+CircuitBreaker.configFromEnv = configFromEnv;
+
+module.exports = CircuitBreaker;
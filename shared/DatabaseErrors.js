@@ -0,0 +1,51 @@
+// Errors raised by JsonDatabase. Each one carries a stable `code` so the
+// services can map it to an HTTP status without parsing messages.
+class DatabaseError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+class DuplicateKeyError extends DatabaseError {
+  constructor(field, value) {
+    super(`Duplicate value for unique index "${field}"`, "DUPLICATE_KEY");
+    this.field = field;
+    this.value = value;
+  }
+}
+
+// Raised by conditional writes ({ expectedVersion }) when the stored
+// document has moved on; `current` is the document as it is now.
+class VersionConflictError extends DatabaseError {
+  constructor(current, expectedVersion) {
+    super(
+      `Version conflict: expected ${expectedVersion}, found ${current._version}`,
+      "VERSION_CONFLICT"
+    );
+    this.current = current;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+// Raised when a document does not match its collection schema; `errors`
+// is a list of { field, message }.
+class ValidationError extends DatabaseError {
+  constructor(errors) {
+    super(
+      `Validation failed: ${errors
+        .map(({ field, message }) => `${field} ${message}`)
+        .join(", ")}`,
+      "VALIDATION_FAILED"
+    );
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  DatabaseError,
+  DuplicateKeyError,
+  VersionConflictError,
+  ValidationError,
+};
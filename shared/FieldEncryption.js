@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const { DatabaseError } = require("./DatabaseErrors");
+
+const ALGORITHM = "aes-256-gcm";
+const FORMAT_VERSION = "v1";
+
+// Field-level encryption at rest for a JsonDatabase collection. Documents
+// stay in plain text in memory; the storage engines, snapshots and the
+// transaction journal write the configured top-level fields as
+//   { "$enc": "v1:<keyId>:<iv>:<tag>:<ciphertext>" }
+// using AES-256-GCM with the field name as additional data, so a value
+// cannot be moved to another field.
+//
+// Secondary indexes on encrypted fields are keyed by an HMAC of the value
+// (blind index), so `findOne({ email })` still uses the index without the
+// plain value ever reaching `<collection>_index.json`.
+//
+// Config: { fields, keys: { <keyId>: <32-byte Buffer or base64> },
+// currentKeyId, blindIndexKey }. Values under an older key (or stored before
+// encryption was enabled) are still read and marked `stale`; JsonDatabase
+// rewrites the collection on startup when that happens.
+class FieldEncryption {
+  constructor(config) {
+    this.fields = config.fields;
+    this.keys = new Map(
+      Object.entries(config.keys).map(([keyId, key]) => [keyId, toKey(key)])
+    );
+    this.currentKeyId = config.currentKeyId || Object.keys(config.keys)[0];
+    this.blindIndexKey = toKey(config.blindIndexKey);
+    this.stale = false;
+
+    if (!this.keys.has(this.currentKeyId)) {
+      throw new Error(`Unknown encryption key id: ${this.currentKeyId}`);
+    }
+    if (this.currentKeyId.includes(":")) {
+      throw new Error("Encryption key ids cannot contain ':'");
+    }
+  }
+
+  encode(doc) {
+    const result = { ...doc };
+    for (const field of this.fields) {
+      if (result[field] !== undefined && result[field] !== null) {
+        result[field] = { $enc: this.encrypt(field, result[field]) };
+      }
+    }
+    return result;
+  }
+
+  decode(doc) {
+    const result = { ...doc };
+    for (const field of this.fields) {
+      const value = result[field];
+      if (value === undefined || value === null) continue;
+
+      if (isEncrypted(value)) {
+        result[field] = this.decrypt(field, value.$enc);
+      } else {
+        // Written before encryption was enabled
+        this.stale = true;
+      }
+    }
+    return result;
+  }
+
+  encrypt(field, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      ALGORITHM,
+      this.keys.get(this.currentKeyId),
+      iv
+    );
+    cipher.setAAD(Buffer.from(field));
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(value), "utf8"),
+      cipher.final(),
+    ]);
+
+    return [
+      FORMAT_VERSION,
+      this.currentKeyId,
+      iv.toString("base64"),
+      cipher.getAuthTag().toString("base64"),
+      ciphertext.toString("base64"),
+    ].join(":");
+  }
+
+  decrypt(field, payload) {
+    const [version, keyId, iv, tag, ciphertext] = String(payload).split(":");
+    const key = this.keys.get(keyId);
+    if (version !== FORMAT_VERSION || !key) {
+      throw new DatabaseError(
+        `Cannot decrypt field "${field}": unknown key ${keyId}`,
+        "DECRYPTION_FAILED"
+      );
+    }
+    if (keyId !== this.currentKeyId) this.stale = true;
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        key,
+        Buffer.from(iv, "base64")
+      );
+      decipher.setAAD(Buffer.from(field));
+      decipher.setAuthTag(Buffer.from(tag, "base64"));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, "base64")),
+        decipher.final(),
+      ]);
+      return JSON.parse(plaintext.toString("utf8"));
+    } catch (error) {
+      throw new DatabaseError(
+        `Cannot decrypt field "${field}": ${error.message}`,
+        "DECRYPTION_FAILED"
+      );
+    }
+  }
+
+  // Index key for an encrypted field, or null for fields stored in clear
+  blindIndex(field, key) {
+    if (!this.fields.includes(field)) return null;
+    const hash = crypto
+      .createHmac("sha256", this.blindIndexKey)
+      .update(`${field}\0${key}`)
+      .digest("base64url");
+    return `blind:${hash}`;
+  }
+}
+
+function isEncrypted(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    typeof value.$enc === "string" &&
+    Object.keys(value).length === 1
+  );
+}
+
+function toKey(key) {
+  const buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key), "base64");
+  if (buffer.length !== 32) {
+    throw new Error("Encryption keys must be 32 bytes (base64 encoded)");
+  }
+  return buffer;
+}
+
+// Keys from the environment:
+//   DB_ENCRYPTION_KEYS="2:<base64>,1:<base64>"  (the first one encrypts)
+//   DB_BLIND_INDEX_KEY="<base64>"
+// Without them a fixed development key is used, which protects nothing: the
+// key is derived from a string in this file. Production refuses to start.
+function encryptionKeysFromEnv(env = process.env) {
+  if (!env.DB_ENCRYPTION_KEYS || !env.DB_BLIND_INDEX_KEY) {
+    if (env.NODE_ENV === "production") {
+      throw new Error(
+        "DB_ENCRYPTION_KEYS and DB_BLIND_INDEX_KEY must be set in production"
+      );
+    }
+    console.warn(
+      "DB_ENCRYPTION_KEYS/DB_BLIND_INDEX_KEY not set: using development keys"
+    );
+    return {
+      keys: { dev: devKey("encryption") },
+      currentKeyId: "dev",
+      blindIndexKey: devKey("blind-index"),
+    };
+  }
+
+  const entries = env.DB_ENCRYPTION_KEYS.split(",").map((entry) => {
+    const separator = entry.indexOf(":");
+    return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+  });
+  return {
+    keys: Object.fromEntries(entries),
+    currentKeyId: entries[0][0],
+    blindIndexKey: env.DB_BLIND_INDEX_KEY,
+  };
+}
+
+function devKey(purpose) {
+  return crypto
+    .createHash("sha256")
+    .update(`lista-compras-dev-${purpose}-key`)
+    .digest();
+}
+
+FieldEncryption.encryptionKeysFromEnv = encryptionKeysFromEnv;
+
+module.exports = FieldEncryption;
@@ -0,0 +1,249 @@
+const fs = require("fs-extra");
+const path = require("path");
+const RegistryClient = require("./RegistryClient");
+
+const REGISTRY_FILE = path.join(__dirname, "service-registry.json");
+
+// Registry kept in a JSON file on a shared disk. Only works when every
+// process runs from the same checkout; used for local development
+// (SERVICE_REGISTRY=file), see serviceRegistry.js.
+class FileServiceRegistry extends RegistryClient {
+  constructor(options) {
+    super(options);
+    this.initializeRegistry();
+  }
+
+  initializeRegistry() {
+    try {
+      console.log(`Registry file path: ${REGISTRY_FILE}`);
+      if (!fs.existsSync(REGISTRY_FILE)) {
+        fs.writeJsonSync(REGISTRY_FILE, {}, { spaces: 2 });
+        console.log("Arquivo registry criado:", REGISTRY_FILE);
+      } else {
+        console.log("Arquivo registry já existe:", REGISTRY_FILE);
+      }
+    } catch (error) {
+      console.error("Erro ao inicializar registry:", error.message);
+      console.error("Stack:", error.stack);
+    }
+  }
+
+  async #readRegistry() {
+    try {
+      if (!fs.existsSync(REGISTRY_FILE)) {
+        return {};
+      }
+
+      const fileContent = fs.readFileSync(REGISTRY_FILE, "utf8");
+      if (!fileContent.trim()) {
+        return {};
+      }
+
+      const data = this.#upgradeLegacyEntries(JSON.parse(fileContent));
+      console.log("Registry content:", Object.keys(data));
+      return data;
+    } catch (error) {
+      console.error("Erro ao ler registry:", error.message);
+      return {};
+    }
+  }
+
+  // Files written before multiple instances held one entry per service,
+  // { url, healthy, ... }; each becomes that service's single instance, so
+  // every reader and cleanup() see the same { [instanceId]: instance } shape
+  #upgradeLegacyEntries(services) {
+    for (const [serviceName, entry] of Object.entries(services)) {
+      if (!entry || typeof entry.url !== "string") continue;
+      try {
+        const instance = this.instanceFor(serviceName, entry);
+        services[serviceName] = { [instance.instanceId]: instance };
+      } catch (error) {
+        // No valid URL: the entry cannot be used
+        delete services[serviceName];
+      }
+    }
+    return services;
+  }
+
+  async #writeRegistry(services) {
+    try {
+      fs.writeJsonSync(REGISTRY_FILE, services, { spaces: 2 });
+    } catch (error) {
+      console.error("Erro ao salvar registry:", error.message);
+    }
+  }
+
+  async register(serviceName, serviceInfo) {
+    try {
+      const instance = this.instanceFor(serviceName, serviceInfo);
+      this.registrations.set(serviceName, instance);
+
+      console.log(`=== REGISTRO DE SERVIÇO ===`);
+      console.log(`Serviço: ${serviceName}`);
+      console.log(`Instância: ${instance.instanceId}`);
+      console.log(`URL: ${instance.url}`);
+      console.log(`Caminho do arquivo: ${REGISTRY_FILE}`);
+
+      const services = await this.#readRegistry();
+      console.log(`Registry atual:`, Object.keys(services));
+
+      services[serviceName] = {
+        ...services[serviceName],
+        [instance.instanceId]: {
+          ...instance,
+          registeredAt: new Date().toISOString(),
+          lastHealthCheck: new Date().toISOString(),
+          healthy: true,
+        },
+      };
+
+      await this.#writeRegistry(services);
+      console.log(`✅ Serviço ${serviceName} registrado com sucesso!`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Erro ao registrar ${serviceName}:`, error.message);
+      console.error(error.stack);
+      return false;
+    }
+  }
+
+  async getInstances(serviceName) {
+    const services = await this.#readRegistry();
+    return Object.values(services[serviceName] || {});
+  }
+
+  async updateHealth(
+    serviceName,
+    isHealthy,
+    instanceId = this.localInstanceId(serviceName)
+  ) {
+    try {
+      const services = await this.#readRegistry();
+      const instance = services[serviceName]?.[instanceId];
+
+      if (instance) {
+        instance.healthy = isHealthy;
+        instance.lastHealthCheck = new Date().toISOString();
+
+        await this.#writeRegistry(services);
+
+        if (!isHealthy) {
+          console.warn(`Instância marcada como não saudável: ${instanceId}`);
+        } else {
+          console.log(`Instância marcada como saudável: ${instanceId}`);
+        }
+
+        return true;
+      }
+      return false;
+    } catch (error) {
+      console.error("Erro ao atualizar saúde do serviço:", error.message);
+      return false;
+    }
+  }
+
+  // Any write to the registry file may change any service
+  watchChanges() {
+    if (this.watcher) return;
+    try {
+      this.watcher = fs.watch(REGISTRY_FILE, () => this.invalidate());
+      this.watcher.unref();
+    } catch (error) {
+      console.warn("Não foi possível observar o registry:", error.message);
+    }
+  }
+
+  async markDraining(
+    serviceName,
+    instanceId = this.localInstanceId(serviceName)
+  ) {
+    try {
+      const services = await this.#readRegistry();
+      const instance = services[serviceName]?.[instanceId];
+      if (!instance) return false;
+
+      instance.draining = true;
+      await this.#writeRegistry(services);
+      console.log(`Instância em drenagem: ${instanceId}`);
+      return true;
+    } catch (error) {
+      console.error("Erro ao marcar instância em drenagem:", error.message);
+      return false;
+    }
+  }
+
+  async unregister(serviceName, instanceId = this.localInstanceId(serviceName)) {
+    try {
+      if (this.localInstanceId(serviceName) === instanceId) {
+        this.registrations.delete(serviceName);
+      }
+
+      const services = await this.#readRegistry();
+      if (!services[serviceName]?.[instanceId]) return false;
+
+      delete services[serviceName][instanceId];
+      if (Object.keys(services[serviceName]).length === 0) {
+        delete services[serviceName];
+      }
+      await this.#writeRegistry(services);
+      console.log(`Instância removida do registry: ${instanceId}`);
+      return true;
+    } catch (error) {
+      console.error("Erro ao remover instância do registry:", error.message);
+      return false;
+    }
+  }
+
+  async getAllServices() {
+    try {
+      const services = await this.#readRegistry();
+      console.log(
+        "🔄 getAllServices - Services no registry:",
+        Object.keys(services)
+      );
+      return services;
+    } catch (error) {
+      console.error("❌ Erro ao obter todos os serviços:", error.message);
+      console.error(error.stack);
+      return {};
+    }
+  }
+
+  async cleanup() {
+    try {
+      const services = await this.#readRegistry();
+      const now = new Date();
+      let cleaned = false;
+
+      for (const [serviceName, instances] of Object.entries(services)) {
+        for (const [instanceId, instance] of Object.entries(instances)) {
+          const lastCheck = new Date(instance.lastHealthCheck);
+          const diffMinutes = (now - lastCheck) / (1000 * 60);
+
+          // Sem lastHealthCheck válido (NaN) também é removida
+          if (!(diffMinutes <= 2)) {
+            console.log(`Removendo instância inativa: ${instanceId}`);
+            delete instances[instanceId];
+            cleaned = true;
+          }
+        }
+
+        if (Object.keys(instances).length === 0) {
+          delete services[serviceName];
+          cleaned = true;
+        }
+      }
+
+      if (cleaned) {
+        await this.#writeRegistry(services);
+      }
+
+      return cleaned;
+    } catch (error) {
+      console.error("Erro na limpeza do registry:", error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = FileServiceRegistry;
@@ -0,0 +1,110 @@
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Graceful shutdown for an Express service registered in the service
+// registry:
+//   1. mark the instance as draining, so discover() stops returning it
+//   2. stop accepting connections and answer new requests with 503
+//   3. end change streams and wait for in-flight requests (up to timeoutMs)
+//   4. flush the databases and unregister the instance
+//
+//   const shutdown = new GracefulShutdown({ serviceName, registry });
+//   app.use(shutdown.middleware());            // before the routes
+//   await shutdown.run({ server, databases: [db] });
+class GracefulShutdown {
+  constructor(options) {
+    this.serviceName = options.serviceName;
+    this.registry = options.registry;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.draining = false;
+    this.inFlight = 0;
+    this.idleWaiters = [];
+    this.running = null;
+  }
+
+  // Counts in-flight requests and rejects new ones while draining
+  middleware() {
+    return (req, res, next) => {
+      if (this.draining) {
+        res.setHeader("Connection", "close");
+        return res.status(503).json({
+          success: false,
+          message: "Serviço em desligamento",
+          service: this.serviceName,
+        });
+      }
+
+      this.inFlight++;
+      let finished = false;
+      const done = () => {
+        if (finished) return;
+        finished = true;
+        this.inFlight--;
+        if (this.inFlight === 0) this.notifyIdle();
+      };
+      res.on("finish", done);
+      res.on("close", done);
+      next();
+    };
+  }
+
+  notifyIdle() {
+    this.idleWaiters.splice(0).forEach((resolve) => resolve(true));
+  }
+
+  // Resolves true when nothing is in flight, false on timeout
+  waitForIdle() {
+    if (this.inFlight === 0) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), this.timeoutMs);
+      this.idleWaiters.push((idle) => {
+        clearTimeout(timer);
+        resolve(idle);
+      });
+    });
+  }
+
+  // Safe to call more than once (SIGTERM followed by SIGINT)
+  run(options = {}) {
+    if (!this.running) this.running = this.drain(options);
+    return this.running;
+  }
+
+  async drain({ server, databases = [] }) {
+    console.log(`${this.serviceName}: iniciando desligamento gracioso`);
+    this.draining = true;
+    await this.registry.markDraining(this.serviceName);
+
+    if (server) {
+      server.close();
+      // Keep-alive connections without a request would hold close() open
+      server.closeIdleConnections?.();
+    }
+
+    // Streams never finish on their own; clients reconnect elsewhere
+    databases.forEach((db) => db.changes.closeAll());
+
+    const idle = await this.waitForIdle();
+    if (!idle) {
+      console.warn(
+        `${this.serviceName}: ${this.inFlight} requisições ainda em andamento após ${this.timeoutMs}ms`
+      );
+    }
+
+    for (const db of databases) {
+      try {
+        db.close();
+      } catch (error) {
+        console.error(
+          `Erro ao gravar ${db.collectionName} no desligamento:`,
+          error.message
+        );
+      }
+    }
+
+    await this.registry.unregister(this.serviceName);
+    console.log(`${this.serviceName}: desligamento concluído`);
+  }
+}
+
+module.exports = GracefulShutdown;
@@ -0,0 +1,94 @@
+const fs = require("fs-extra");
+const axios = require("axios");
+
+const DEFAULT_TIMEOUT_MS = 2000;
+
+// Readiness checks for a service's /health/ready:
+//
+//   const readiness = new HealthChecks()
+//     .add("database", HealthChecks.databaseWritable(db))
+//     .add("user-service", HealthChecks.dependency(registry, "user-service"));
+//   const { ready, checks } = await readiness.run();
+//
+// A check is an async function that throws when the dependency is not
+// usable; whatever it returns is reported as details. Each check is bounded
+// by `timeoutMs`.
+class HealthChecks {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.checks = new Map();
+  }
+
+  add(name, check) {
+    this.checks.set(name, check);
+    return this;
+  }
+
+  async run() {
+    const results = {};
+    await Promise.all(
+      [...this.checks].map(async ([name, check]) => {
+        const started = Date.now();
+        try {
+          const details = await withTimeout(check(), this.timeoutMs);
+          results[name] = {
+            status: "up",
+            latencyMs: Date.now() - started,
+            ...details,
+          };
+        } catch (error) {
+          results[name] = {
+            status: "down",
+            latencyMs: Date.now() - started,
+            error: error.message,
+          };
+        }
+      })
+    );
+
+    return {
+      ready: Object.values(results).every(({ status }) => status === "up"),
+      checks: results,
+    };
+  }
+
+  // The collection file (and its operation log, if any) can be written
+  static databaseWritable(db) {
+    return async () => {
+      const paths = [db.basePath, db.filePath, db.storage.logPath].filter(
+        (filePath) => filePath && fs.existsSync(filePath)
+      );
+      for (const filePath of paths) {
+        await fs.access(filePath, fs.constants.W_OK);
+      }
+      return { collection: db.collectionName, documents: db.collection.length };
+    };
+  }
+
+  // Some instance of `serviceName` answers its liveness endpoint. Liveness,
+  // not readiness, so one unready service does not cascade to its callers.
+  static dependency(registry, serviceName, options = {}) {
+    const timeout = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    return async () => {
+      const instance = await registry.withInstance(serviceName, (target) =>
+        axios
+          .get(`${target.url}/health/live`, { timeout })
+          .then(() => target)
+      );
+      return { instanceId: instance.instanceId };
+    };
+  }
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = HealthChecks;
@@ -0,0 +1,206 @@
+const axios = require("axios");
+const RegistryClient = require("./RegistryClient");
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const RECONNECT_DELAY_MS = 2000;
+
+// Client for the registry service (services/registry-service), with the same
+// register/discover/updateHealth/getAllServices contract as the file-based
+// registry. A heartbeat answered with 404 (registry restarted and lost its
+// state) registers the instance again. With the cache enabled, the client
+// follows the registry's change stream (GET /events) to invalidate it.
+// Writes (register, heartbeat, draining, unregister) carry `options.token`
+// as a bearer token.
+class HttpServiceRegistry extends RegistryClient {
+  constructor(baseUrl, options = {}) {
+    super(options);
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.token = options.token || null;
+    console.log(`Registry service: ${this.baseUrl}`);
+  }
+
+  serviceUrl(serviceName) {
+    return `${this.baseUrl}/services/${encodeURIComponent(serviceName)}`;
+  }
+
+  instanceUrl(serviceName, instanceId) {
+    return `${this.serviceUrl(serviceName)}/instances/${encodeURIComponent(
+      instanceId
+    )}`;
+  }
+
+  // Request options for calls that change the registry
+  writeOptions() {
+    return {
+      timeout: this.timeout,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+    };
+  }
+
+  watchChanges() {
+    if (this.watchingChanges) return;
+    this.watchingChanges = true;
+    this.connectChangeStream();
+  }
+
+  connectChangeStream() {
+    let closed = false;
+    const reconnect = () => {
+      if (closed) return;
+      closed = true;
+      // Changes may be missed while disconnected
+      this.invalidate();
+      setTimeout(() => this.connectChangeStream(), RECONNECT_DELAY_MS).unref();
+    };
+
+    axios
+      .get(`${this.baseUrl}/events`, { responseType: "stream" })
+      .then((response) => {
+        this.invalidate();
+        let buffer = "";
+        response.data.on("data", (chunk) => {
+          buffer += chunk.toString("utf8");
+          let end;
+          while ((end = buffer.indexOf("\n\n")) !== -1) {
+            this.handleChangeMessage(buffer.slice(0, end));
+            buffer = buffer.slice(end + 2);
+          }
+        });
+        response.data.on("end", reconnect);
+        response.data.on("error", reconnect);
+        // The stream must not keep the process alive on shutdown
+        response.request?.socket?.unref();
+      })
+      .catch(reconnect);
+  }
+
+  // "event: change\ndata: {"service":"list-service",...}"
+  handleChangeMessage(message) {
+    const data = message
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim())
+      .join("");
+    if (!data) return;
+
+    try {
+      this.invalidate(JSON.parse(data).service);
+    } catch (error) {
+      this.invalidate();
+    }
+  }
+
+  async register(serviceName, serviceInfo) {
+    const instance = this.instanceFor(serviceName, serviceInfo);
+    this.registrations.set(serviceName, instance);
+    try {
+      await axios.put(
+        this.instanceUrl(serviceName, instance.instanceId),
+        instance,
+        this.writeOptions()
+      );
+      console.log(
+        `✅ Serviço ${serviceName} registrado com sucesso! (${instance.instanceId})`
+      );
+      return true;
+    } catch (error) {
+      console.error(`❌ Erro ao registrar ${serviceName}:`, error.message);
+      return false;
+    }
+  }
+
+  async getInstances(serviceName) {
+    try {
+      const response = await axios.get(this.serviceUrl(serviceName), {
+        timeout: this.timeout,
+      });
+      return response.data.data;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error("Erro ao descobrir serviço:", error.message);
+      }
+      return [];
+    }
+  }
+
+  async updateHealth(
+    serviceName,
+    isHealthy,
+    instanceId = this.localInstanceId(serviceName)
+  ) {
+    try {
+      await axios.put(
+        `${this.instanceUrl(serviceName, instanceId)}/health`,
+        { healthy: isHealthy },
+        this.writeOptions()
+      );
+      return true;
+    } catch (error) {
+      const registration = this.registrations.get(serviceName);
+      if (
+        error.response?.status === 404 &&
+        registration?.instanceId === instanceId
+      ) {
+        console.warn(
+          `Registry não conhece ${instanceId}, registrando novamente`
+        );
+        return this.register(serviceName, registration);
+      }
+      console.error("Erro ao atualizar saúde do serviço:", error.message);
+      return false;
+    }
+  }
+
+  async markDraining(
+    serviceName,
+    instanceId = this.localInstanceId(serviceName)
+  ) {
+    try {
+      await axios.put(
+        `${this.instanceUrl(serviceName, instanceId)}/draining`,
+        {},
+        this.writeOptions()
+      );
+      console.log(`Instância em drenagem: ${instanceId}`);
+      return true;
+    } catch (error) {
+      console.error("Erro ao marcar instância em drenagem:", error.message);
+      return false;
+    }
+  }
+
+  async unregister(serviceName, instanceId = this.localInstanceId(serviceName)) {
+    // Forget it first, so a late heartbeat cannot register it again
+    if (this.localInstanceId(serviceName) === instanceId) {
+      this.registrations.delete(serviceName);
+    }
+
+    try {
+      await axios.delete(
+        this.instanceUrl(serviceName, instanceId),
+        this.writeOptions()
+      );
+      console.log(`Instância removida do registry: ${instanceId}`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) return false;
+      console.error("Erro ao remover instância do registry:", error.message);
+      return false;
+    }
+  }
+
+  async getAllServices() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/services`, {
+        timeout: this.timeout,
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error("❌ Erro ao obter todos os serviços:", error.message);
+      return {};
+    }
+  }
+}
+
+module.exports = HttpServiceRegistry;
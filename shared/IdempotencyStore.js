@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const JsonDatabase = require("./JsonDatabase");
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_LOCK_TIMEOUT_MS = 60 * 1000;
+
+// Deduplication of POST requests carrying an `Idempotency-Key` header, so
+// that a client or the gateway can send them again safely:
+//
+//   const idempotency = new IdempotencyStore(dbPath);
+//   app.use(express.json());
+//   app.use(idempotency.middleware());         // before the routes
+//
+// The first request with a key runs normally and its JSON response (status
+// and body) is stored under the key; a repeat gets the stored response back
+// with `Idempotent-Replayed: true` instead of running again. Keys are scoped
+// to the method, path and Authorization header, so two users cannot see each
+// other's responses. While the first request is still running a repeat gets
+// 409; reusing a key with a different body gets 422. 5xx responses are not
+// stored, so the request can be retried.
+//
+// Records live in the `idempotency_keys` collection and expire through its
+// TTL index after `ttlSeconds`. A record left "pending" by a crash is taken
+// over after `lockTimeoutMs`.
+class IdempotencyStore {
+  constructor(basePath, options = {}) {
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    this.lockTimeoutMs = options.lockTimeoutMs || DEFAULT_LOCK_TIMEOUT_MS;
+    this.db = new JsonDatabase(basePath, "idempotency_keys", {
+      ttl: { field: "createdAt", expireAfterSeconds: this.ttlSeconds },
+    });
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      const key = req.header("Idempotency-Key");
+      if (req.method !== "POST" || !key) return next();
+
+      try {
+        const id = digest(
+          [req.method, req.originalUrl, req.header("Authorization") || "", key]
+        );
+        const fingerprint = digest([JSON.stringify(req.body ?? null)]);
+
+        const record = await this.db.findById(id);
+        if (record && record.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            message: "Idempotency-Key já usada com outra requisição",
+          });
+        }
+        if (record && record.state === "completed") {
+          res.setHeader("Idempotent-Replayed", "true");
+          return res.status(record.status).json(record.body);
+        }
+        if (record && !this.isAbandoned(record)) {
+          return res.status(409).json({
+            success: false,
+            message: "Requisição com esta Idempotency-Key em andamento",
+          });
+        }
+
+        // Expired or abandoned records are still in the collection until
+        // the purge; the new one replaces them
+        await this.db.delete(id);
+        await this.db.create({
+          id,
+          state: "pending",
+          fingerprint,
+          createdAt: new Date().toISOString(),
+        });
+        this.capture(id, res);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  isAbandoned(record) {
+    return Date.now() - Date.parse(record.createdAt) > this.lockTimeoutMs;
+  }
+
+  // Stores the response when the handler sends it; anything but a non-5xx
+  // JSON response releases the key instead
+  capture(id, res) {
+    let settled = false;
+    const settle = (stored) => {
+      if (settled) return;
+      settled = true;
+      const write = stored
+        ? this.db.update(id, stored)
+        : this.db.delete(id);
+      write.catch((error) =>
+        console.error(`Error saving idempotency key ${id}:`, error.message)
+      );
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle(
+        res.statusCode < 500
+          ? { state: "completed", status: res.statusCode, body }
+          : null
+      );
+      return json(body);
+    };
+    res.on("close", () => settle(null));
+  }
+}
+
+function digest(parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) hash.update(`${part}\n`);
+  return hash.digest("hex");
+}
+
+module.exports = IdempotencyStore;
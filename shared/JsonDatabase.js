@@ -1,95 +1,346 @@
-const fs = require("fs-extra");
 const path = require("path");
+const JsonFileStorage = require("./JsonFileStorage");
+const OperationLogStorage = require("./OperationLogStorage");
+const SecondaryIndexes = require("./SecondaryIndexes");
+const Transaction = require("./Transaction");
+const ChangeFeed = require("./ChangeFeed");
+const Schema = require("./Schema");
+const Migrator = require("./Migrator");
+const SnapshotManager = require("./SnapshotManager");
+const TtlIndex = require("./TtlIndex");
+const FieldEncryption = require("./FieldEncryption");
+const {
+  DuplicateKeyError,
+  VersionConflictError,
+  ValidationError,
+} = require("./DatabaseErrors");
+const { matchesFilter } = require("./queryMatcher");
+const { runPipeline } = require("./aggregation");
+const {
+  sortKeys,
+  compareByKeys,
+  applyProjection,
+  encodeCursor,
+  decodeCursor,
+} = require("./queryOptions");
+
+const STORAGE_ENGINES = {
+  json: JsonFileStorage,
+  log: OperationLogStorage,
+};
 
 class JsonDatabase {
-  constructor(basePath, collectionName) {
+  // options.storage: "json" (default, whole file per write) or "log"
+  // (append-only NDJSON operation log with background compaction)
+  // options.indexes: secondary indexes, e.g. [{ field: "email", unique: true }]
+  // options.schema: field definitions or a Schema, enforced on every write
+  // options.migrations: { directory, dryRun } to run pending migration
+  // scripts on startup (see Migrator); `manual: true` only loads the data
+  // options.snapshots: { directory, intervalMs, retention } (see
+  // SnapshotManager); on-demand snapshots work without it
+  // options.ttl: { field, expireAfterSeconds, intervalMs } expires documents
+  // (see TtlIndex)
+  // options.encryption: { fields, keys, currentKeyId, blindIndexKey }
+  // encrypts those fields on disk (see FieldEncryption)
+  constructor(basePath, collectionName, options = {}) {
+    this.basePath = basePath;
+    this.collectionName = collectionName;
     this.filePath = path.join(basePath, `${collectionName}.json`);
     this.collection = [];
+    this.byId = new Map();
+    this.encryption = options.encryption
+      ? new FieldEncryption(options.encryption)
+      : null;
+    this.indexes = new SecondaryIndexes(
+      path.join(basePath, `${collectionName}_index.json`),
+      options.indexes,
+      {
+        blindIndex:
+          this.encryption &&
+          this.encryption.blindIndex.bind(this.encryption),
+      }
+    );
+
+    this.schema =
+      options.schema && !(options.schema instanceof Schema)
+        ? new Schema(options.schema)
+        : options.schema || null;
+    this.changes = new ChangeFeed(collectionName, {
+      historySize: options.changeHistorySize,
+    });
+
+    const Storage = STORAGE_ENGINES[options.storage || "json"];
+    if (!Storage) {
+      throw new Error(`Unknown storage engine: ${options.storage}`);
+    }
+    this.storage = new Storage(this.filePath, {
+      ...options,
+      codec: this.encryption,
+    });
+    this.migrations = options.migrations || null;
+    this.snapshots = new SnapshotManager(this, options.snapshots);
+    this.ttl = options.ttl ? new TtlIndex(this, options.ttl) : null;
+
     this.initialize();
   }
 
   initialize() {
-    try {
-      if (fs.existsSync(this.filePath)) {
-        const data = fs.readFileSync(this.filePath, "utf8");
-        this.collection = JSON.parse(data);
+    this.collection = this.storage.load();
+    this.byId = new Map(this.collection.map((item) => [item.id, item]));
+    this.indexes.load(this.collection);
+
+    Transaction.recoverJournal(this);
+
+    // Data in clear text or under a retired key: rewrite it with the
+    // current key and drop the .bak holding the old copy
+    if (this.encryption && this.encryption.stale) {
+      this.save();
+      this.storage.removeBackup();
+      this.encryption.stale = false;
+      console.log(`Re-encrypted ${this.collectionName} with the current key`);
+    }
+
+    // Migrations see the documents exactly as stored. In manual mode (the
+    // migration CLI) the caller drives the Migrator and nothing else runs.
+    if (this.migrations && this.migrations.manual) return;
+    if (this.migrations) this.runMigrations();
+
+    // Documents written before versioning start at version 1
+    for (const item of this.collection) {
+      if (item._version === undefined) item._version = 1;
+    }
+
+    this.snapshots.start();
+
+    if (this.ttl) {
+      this.ttl.purge();
+      this.ttl.start();
+    }
+  }
+
+  // Expired documents are invisible to reads even before they are purged
+  isVisible(item, now) {
+    return !this.ttl || !this.ttl.isExpired(item, now);
+  }
+
+  runMigrations() {
+    const { directory, dryRun } = this.migrations;
+    const report = new Migrator(this, directory).up({ dryRun });
+
+    for (const { id, changed, removed, total } of report) {
+      console.log(
+        `${dryRun ? "[dry-run] " : ""}Migration ${id} on ${
+          this.collectionName
+        }: ${changed} changed, ${removed} removed, ${total} documents`
+      );
+    }
+  }
+
+  // Write the full collection to disk (compacts the log for "log" storage)
+  save() {
+    this.storage.flush(this.collection);
+    this.indexes.save();
+  }
+
+  // Stop background work, end change streams and write everything out
+  // (graceful shutdown). The instance should not be used afterwards.
+  close() {
+    this.snapshots.stop();
+    if (this.ttl) this.ttl.stop();
+    this.changes.closeAll();
+    this.save();
+  }
+
+  // Swap in a whole new set of documents (migrations) and write it out
+  replaceCollection(documents) {
+    this.collection = documents;
+    this.byId = new Map(documents.map((item) => [item.id, item]));
+    this.indexes.rebuild(documents);
+    this.save();
+  }
+
+  // On-disk form of a document (encrypted fields), used by the journal and
+  // snapshots; storage engines apply the same codec themselves
+  encodeDocument(doc) {
+    return this.encryption ? this.encryption.encode(doc) : doc;
+  }
+
+  decodeDocument(doc) {
+    return this.encryption ? this.encryption.decode(doc) : doc;
+  }
+
+  snapshot(reason) {
+    return this.snapshots.create(reason);
+  }
+
+  listSnapshots() {
+    return this.snapshots.list();
+  }
+
+  // Roll the collection back to a snapshot (id or { at: date }), taking a
+  // "pre-restore" snapshot first. Documents that differ from the current
+  // state get a new _version, so stale If-Match headers still fail.
+  restoreSnapshot(selector) {
+    const snapshot = this.snapshots.read(selector);
+    this.snapshots.create("pre-restore");
+
+    const previous = this.byId;
+    const documents = snapshot.documents.map((doc) => {
+      const current = previous.get(doc.id);
+      if (!current) return doc;
+      if (JSON.stringify(current) === JSON.stringify(doc)) return current;
+      return { ...doc, _version: current._version + 1 };
+    });
+    this.replaceCollection(documents);
+
+    for (const doc of documents) {
+      const current = previous.get(doc.id);
+      if (!current) this.changes.publish("insert", null, doc);
+      else if (current !== doc) this.changes.publish("update", current, doc);
+    }
+    for (const [id, current] of previous) {
+      if (!this.byId.has(id)) this.changes.publish("delete", current, null);
+    }
+
+    const { documents: _, ...metadata } = snapshot;
+    return metadata;
+  }
+
+  persist(operation) {
+    this.storage.persist(operation, this.collection);
+  }
+
+  // Apply already validated operations ({ op, id, doc }) in memory and
+  // persist them as a single batch. Inserts and updates are upserts and
+  // deletes of missing ids are ignored, so re-applying is harmless. If the
+  // write fails, memory is put back as it was.
+  applyOperations(operations) {
+    const before = [...this.collection];
+    const changes = [];
+    for (const { op, id, doc } of operations) {
+      const index = this.collection.findIndex((item) => item.id === id);
+      const previous = index === -1 ? null : this.collection[index];
+
+      if (op === "delete") {
+        if (!previous) continue;
+        this.collection.splice(index, 1);
+        this.byId.delete(id);
+        this.indexes.remove(previous);
+        changes.push(["delete", previous, null]);
+      } else if (previous) {
+        this.collection[index] = doc;
+        this.byId.set(id, doc);
+        this.indexes.replace(previous, doc);
+        changes.push(["update", previous, doc]);
       } else {
-        // Create directory if it doesn't exist
-        fs.ensureDirSync(path.dirname(this.filePath));
-        this.save();
+        this.collection.push(doc);
+        this.byId.set(id, doc);
+        this.indexes.add(doc);
+        changes.push(["insert", null, doc]);
       }
+    }
+
+    try {
+      this.storage.persistBatch(operations, this.collection);
     } catch (error) {
-      console.error("Error initializing database:", error);
-      this.collection = [];
+      this.collection.length = 0;
+      before.forEach((item) => this.collection.push(item));
+      this.byId = new Map(before.map((item) => [item.id, item]));
+      this.indexes.rebuild(before);
+      throw error;
     }
+    changes.forEach((change) => this.changes.publish(...change));
   }
 
-  save() {
+  // Subscribe to inserts/updates/deletes of documents matching `filter`:
+  //   const stream = db.watch({ userId }, { resumeAfter: lastSeq });
+  //   stream.on("change", ({ seq, type, before, after }) => { ... });
+  //   stream.close();
+  watch(filter = {}, options = {}) {
+    return this.changes.watch(filter, options);
+  }
+
+  // Run `callback(tx)` and commit everything it staged atomically, or nothing
+  // if it throws. Use tx.collection(otherDb) to include other collections
+  // stored in the same directory.
+  async transaction(callback) {
+    const tx = new Transaction(this);
     try {
-      fs.writeFileSync(this.filePath, JSON.stringify(this.collection, null, 2));
+      const result = await callback(tx);
+      tx.commit();
+      return result;
     } catch (error) {
-      console.error("Error saving database:", error);
+      tx.rollback();
+      throw error;
     }
   }
 
-  async create(item) {
-    this.collection.push(item);
-    this.save();
+  // Defaults + validation for a new document
+  prepareInsert(data) {
+    let item = clone(data);
+    if (this.schema) {
+      item = this.schema.applyDefaults(item);
+      this.schema.validate(item);
+    }
     return item;
   }
 
+  // Merge + validation for an update; the id can never change
+  prepareUpdate(previous, updates) {
+    const next = { ...previous, ...clone(updates), id: previous.id };
+    if (this.schema) {
+      this.schema.assertImmutable(previous, next);
+      this.schema.validate(next);
+    }
+    return next;
+  }
+
+  async create(data) {
+    const item = { ...this.prepareInsert(data), _version: 1 };
+    this.indexes.assertUnique(item);
+
+    this.collection.push(item);
+    try {
+      this.persist({ op: "insert", doc: item });
+    } catch (error) {
+      this.collection.pop();
+      throw error;
+    }
+    this.byId.set(item.id, item);
+    this.indexes.add(item);
+    this.changes.publish("insert", null, item);
+    return clone(item);
+  }
+
   async find(filter = {}, options = {}) {
     console.log("🔍 JsonDatabase find:");
     console.log("Filter:", JSON.stringify(filter, null, 2));
     console.log("Options:", options);
 
-    let results = [...this.collection];
+    // Narrow the scan with a secondary index when the filter allows it
+    const candidateIds = this.indexes.candidates(filter);
+    let results = candidateIds
+      ? [...candidateIds].map((id) => this.byId.get(id))
+      : [...this.collection];
 
     // Apply filters
-    if (Object.keys(filter).length > 0) {
-      results = results.filter((item) => {
-        for (const key in filter) {
-          if (key.startsWith("$")) {
-            // Handle special operators
-            if (key === "$or") {
-              const orConditions = filter[key];
-              const orMatch = orConditions.some((condition) => {
-                for (const orKey in condition) {
-                  if (item[orKey] !== condition[orKey]) {
-                    return false;
-                  }
-                }
-                return true;
-              });
-              if (!orMatch) return false;
-            } else if (key === "$regex") {
-              // ✅ CORRIGIDO: Regex filter
-              const regexPattern = filter[key];
-              const regexOptions = filter.$options || "i";
-              const field = filter.$field || "name"; // default field
-
-              const regex = new RegExp(regexPattern, regexOptions);
-              if (!regex.test(item[field])) {
-                return false;
-              }
-            }
-          } else if (item[key] !== filter[key]) {
-            return false;
-          }
-        }
-        return true;
-      });
-    }
-
-    // Apply sorting
-    if (options.sort) {
-      const sortKey = Object.keys(options.sort)[0];
-      const sortDirection = options.sort[sortKey];
-      results.sort((a, b) => {
-        if (a[sortKey] < b[sortKey]) return sortDirection === 1 ? -1 : 1;
-        if (a[sortKey] > b[sortKey]) return sortDirection === 1 ? 1 : -1;
-        return 0;
-      });
+    const now = Date.now();
+    results = results.filter(
+      (item) => this.isVisible(item, now) && matchesFilter(item, filter)
+    );
+
+    // Apply sorting (compound, always tie-broken by id)
+    const keys = sortKeys(options.sort);
+    if (options.sort || options.after) {
+      results.sort((a, b) => compareByKeys(a, b, keys));
+    }
+
+    // Resume after a cursor returned by findPage
+    if (options.after) {
+      const position = decodeCursor(options.after, keys);
+      results = results.filter(
+        (item) => compareByKeys(item, position, keys) > 0
+      );
     }
 
     // Apply pagination
@@ -100,7 +351,55 @@ class JsonDatabase {
       results = results.slice(0, options.limit);
     }
 
-    return results;
+    // Apply projection
+    if (options.projection) {
+      results = results.map((item) =>
+        applyProjection(item, options.projection)
+      );
+    }
+
+    // Callers get copies, so editing a result never touches stored state
+    return results.map(clone);
+  }
+
+  // Like find, but returns { data, nextCursor } for cursor-based paging.
+  // Pass nextCursor back as options.after to get the following page.
+  async findPage(filter = {}, options = {}) {
+    const { projection, limit } = options;
+    const results = await this.find(filter, {
+      ...options,
+      projection: undefined,
+      limit: limit ? limit + 1 : undefined,
+    });
+
+    const hasMore = Boolean(limit) && results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+    const nextCursor = hasMore
+      ? encodeCursor(page[page.length - 1], sortKeys(options.sort))
+      : null;
+
+    return {
+      data: projection
+        ? page.map((item) => applyProjection(item, projection))
+        : page,
+      nextCursor,
+    };
+  }
+
+  // Run an aggregation pipeline ($match, $unwind, $group, $sort, $limit,
+  // $project) over the collection; see aggregation.js
+  async aggregate(pipeline = []) {
+    // A leading $match can use the secondary indexes
+    const [first] = pipeline;
+    const candidateIds =
+      first && first.$match ? this.indexes.candidates(first.$match) : null;
+    const documents = candidateIds
+      ? [...candidateIds].map((id) => this.byId.get(id))
+      : this.collection;
+
+    const now = Date.now();
+    const visible = documents.filter((item) => this.isVisible(item, now));
+    return runPipeline(visible, pipeline).map(clone);
   }
 
   async findOne(filter = {}) {
@@ -109,31 +408,137 @@ class JsonDatabase {
   }
 
   async findById(id) {
-    return this.collection.find((item) => item.id === id) || null;
+    const item = this.byId.get(id);
+    return item && this.isVisible(item) ? clone(item) : null;
   }
 
-  async update(id, updates) {
+  // options.expectedVersion makes the update conditional: it fails with a
+  // VersionConflictError unless the stored document has that _version.
+  async update(id, updates, options = {}) {
     const index = this.collection.findIndex((item) => item.id === id);
     if (index === -1) return null;
 
-    this.collection[index] = { ...this.collection[index], ...updates };
-    this.save();
-    return this.collection[index];
+    const previous = this.collection[index];
+    this.assertVersion(previous, options.expectedVersion);
+
+    const updated = {
+      ...this.prepareUpdate(previous, updates),
+      _version: previous._version + 1,
+    };
+    this.indexes.assertUnique(updated);
+
+    this.collection[index] = updated;
+    try {
+      this.persist({ op: "update", doc: updated });
+    } catch (error) {
+      this.collection[index] = previous;
+      throw error;
+    }
+    this.byId.set(id, updated);
+    this.indexes.replace(previous, updated);
+    this.changes.publish("update", previous, updated);
+    return clone(updated);
+  }
+
+  // Bulk writes: validated up front, then persisted with a single write.
+  // Either every document is written or none is.
+  async insertMany(documents) {
+    const items = documents.map((data, i) => {
+      try {
+        return { ...this.prepareInsert(data), _version: 1 };
+      } catch (error) {
+        // Point at the offending document: "3.name is required"
+        if (!(error instanceof ValidationError)) throw error;
+        throw new ValidationError(
+          error.errors.map(({ field, message }) => ({
+            field: `${i}.${field}`,
+            message,
+          }))
+        );
+      }
+    });
+
+    const ids = new Set();
+    for (const item of items) {
+      if (this.byId.has(item.id) || ids.has(item.id)) {
+        throw new DuplicateKeyError("id", item.id);
+      }
+      ids.add(item.id);
+    }
+    this.indexes.assertUniqueBatch(items);
+
+    this.applyOperations(
+      items.map((item) => ({ op: "insert", id: item.id, doc: item }))
+    );
+    return items.map(clone);
+  }
+
+  // Apply `updates` to every document matching `filter`; returns how many
+  // documents changed
+  async updateMany(filter, updates) {
+    const matches = await this.find(filter);
+    const updated = [];
+    for (const match of matches) {
+      const previous = this.byId.get(match.id);
+      const next = this.prepareUpdate(previous, updates);
+      if (JSON.stringify(next) === JSON.stringify(previous)) continue;
+      updated.push({ ...next, _version: previous._version + 1 });
+    }
+    if (updated.length === 0) return 0;
+
+    this.indexes.assertUniqueBatch(
+      updated,
+      new Set(updated.map((item) => item.id))
+    );
+    this.applyOperations(
+      updated.map((item) => ({ op: "update", id: item.id, doc: item }))
+    );
+    return updated.length;
+  }
+
+  // Delete every document matching `filter`; returns how many were removed
+  async deleteMany(filter) {
+    const matches = await this.find(filter, { projection: { id: 1 } });
+    if (matches.length === 0) return 0;
+
+    this.applyOperations(matches.map(({ id }) => ({ op: "delete", id })));
+    return matches.length;
   }
 
-  async delete(id) {
+  async delete(id, options = {}) {
     const index = this.collection.findIndex((item) => item.id === id);
     if (index === -1) return false;
 
-    this.collection.splice(index, 1);
-    this.save();
+    this.assertVersion(this.collection[index], options.expectedVersion);
+
+    const [removed] = this.collection.splice(index, 1);
+    try {
+      this.persist({ op: "delete", id });
+    } catch (error) {
+      this.collection.splice(index, 0, removed);
+      throw error;
+    }
+    this.byId.delete(id);
+    this.indexes.remove(removed);
+    this.changes.publish("delete", removed, null);
     return true;
   }
 
+  assertVersion(current, expectedVersion) {
+    if (expectedVersion === undefined || expectedVersion === null) return;
+    if (current._version !== Number(expectedVersion)) {
+      throw new VersionConflictError(current, expectedVersion);
+    }
+  }
+
   async count(filter = {}) {
     const results = await this.find(filter);
     return results.length;
   }
 }
 
+function clone(item) {
+  return JSON.parse(JSON.stringify(item));
+}
+
 module.exports = JsonDatabase;
@@ -0,0 +1,142 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Default JsonDatabase storage engine: the whole collection lives in a single
+// pretty-printed JSON array that is rewritten atomically on every mutation.
+// options.codec ({ encode, decode }, e.g. FieldEncryption) transforms each
+// document on its way to and from disk.
+class JsonFileStorage {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.backupPath = `${filePath}.bak`;
+    this.codec = options.codec || null;
+  }
+
+  load() {
+    fs.ensureDirSync(path.dirname(this.filePath));
+
+    let collection;
+    if (!fs.existsSync(this.filePath)) {
+      // A crash between the backup copy and the rename can leave only the .bak
+      if (!fs.existsSync(this.backupPath)) {
+        this.writeSnapshot([]);
+        return [];
+      }
+      collection = this.recoverFromBackup();
+    } else {
+      try {
+        collection = this.readCollection(this.filePath);
+      } catch (error) {
+        console.error(
+          `Corrupt database file ${this.filePath}:`,
+          error.message
+        );
+        collection = this.recoverFromBackup();
+      }
+    }
+
+    // Outside the try: a document that cannot be decoded (wrong key) is a
+    // configuration error, not a corrupt file to be moved aside
+    return collection.map((doc) => this.decodeDocument(doc));
+  }
+
+  // Called after every mutation with the operation and the resulting collection
+  persist(operation, collection) {
+    this.writeSnapshot(collection);
+  }
+
+  persistBatch(operations, collection) {
+    this.writeSnapshot(collection);
+  }
+
+  flush(collection) {
+    this.writeSnapshot(collection);
+  }
+
+  readCollection(filePath) {
+    const data = fs.readFileSync(filePath, "utf8");
+    const collection = JSON.parse(data);
+    if (!Array.isArray(collection)) {
+      throw new Error(`${filePath} does not contain a JSON array`);
+    }
+    return collection;
+  }
+
+  recoverFromBackup() {
+    // Never overwrite the damaged file: move it aside so it can be inspected
+    if (fs.existsSync(this.filePath)) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      console.warn(`Corrupt database file moved to ${corruptPath}`);
+    }
+
+    let collection;
+    try {
+      collection = this.readCollection(this.backupPath);
+      console.warn(`Database restored from backup ${this.backupPath}`);
+    } catch (error) {
+      console.error("No usable backup, starting empty:", error.message);
+      collection = [];
+    }
+
+    this.writeRaw(collection);
+    return collection;
+  }
+
+  // Drop the .bak, e.g. after re-encrypting so no old copy stays on disk
+  removeBackup() {
+    fs.removeSync(this.backupPath);
+  }
+
+  encodeDocument(doc) {
+    return this.codec ? this.codec.encode(doc) : doc;
+  }
+
+  decodeDocument(doc) {
+    return this.codec ? this.codec.decode(doc) : doc;
+  }
+
+  writeSnapshot(collection) {
+    this.writeRaw(collection.map((doc) => this.encodeDocument(doc)));
+  }
+
+  // Write to a temp file, fsync it, keep the previous version as .bak and
+  // atomically rename over the main file. Errors propagate to the caller.
+  writeRaw(documents) {
+    writeAtomic(this.filePath, JSON.stringify(documents, null, 2));
+  }
+}
+
+function writeAtomic(filePath, contents, options = {}) {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (options.backup !== false && fs.existsSync(filePath)) {
+    fs.copyFileSync(filePath, `${filePath}.bak`);
+  }
+  fs.renameSync(tmpPath, filePath);
+  fsyncDirectory(path.dirname(filePath));
+}
+
+function fsyncDirectory(dirPath) {
+  // Persist the rename itself; not supported on every platform (Windows)
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, "r");
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // ignore
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+JsonFileStorage.writeAtomic = writeAtomic;
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,74 @@
+const STRATEGIES = ["round-robin", "least-in-flight", "random"];
+
+// Client-side instance selection. In-flight counts only cover requests made
+// by this process through track(), which is what least-in-flight needs to
+// steer around an instance that is slow for us.
+class LoadBalancer {
+  constructor(strategy = "round-robin") {
+    this.assertStrategy(strategy);
+    this.strategy = strategy;
+    this.cursors = new Map();
+    this.inFlight = new Map();
+  }
+
+  assertStrategy(strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(
+        `Unknown load balancing strategy: ${strategy} (use ${STRATEGIES.join(
+          ", "
+        )})`
+      );
+    }
+  }
+
+  pick(serviceName, instances, strategy = this.strategy) {
+    this.assertStrategy(strategy);
+    if (instances.length === 0) return null;
+
+    // Registry order is not stable; sort so round-robin really rotates
+    const sorted = [...instances].sort((a, b) =>
+      a.instanceId.localeCompare(b.instanceId)
+    );
+
+    if (strategy === "random") {
+      return sorted[Math.floor(Math.random() * sorted.length)];
+    }
+    if (strategy === "least-in-flight") {
+      const least = Math.min(
+        ...sorted.map(({ instanceId }) => this.inFlightFor(instanceId))
+      );
+      return this.roundRobin(
+        serviceName,
+        sorted.filter(({ instanceId }) => this.inFlightFor(instanceId) === least)
+      );
+    }
+    return this.roundRobin(serviceName, sorted);
+  }
+
+  roundRobin(serviceName, instances) {
+    const cursor = this.cursors.get(serviceName) || 0;
+    this.cursors.set(serviceName, cursor + 1);
+    return instances[cursor % instances.length];
+  }
+
+  inFlightFor(instanceId) {
+    return this.inFlight.get(instanceId) || 0;
+  }
+
+  // Run `fn(instance)` counting it as in flight until it settles
+  async track(instance, fn) {
+    const { instanceId } = instance;
+    this.inFlight.set(instanceId, this.inFlightFor(instanceId) + 1);
+    try {
+      return await fn(instance);
+    } finally {
+      const remaining = this.inFlightFor(instanceId) - 1;
+      if (remaining > 0) this.inFlight.set(instanceId, remaining);
+      else this.inFlight.delete(instanceId);
+    }
+  }
+}
+
+LoadBalancer.STRATEGIES = STRATEGIES;
+
+module.exports = LoadBalancer;
@@ -0,0 +1,187 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { writeAtomic } = require("./JsonFileStorage");
+const { DatabaseError } = require("./DatabaseErrors");
+
+// Numbered migration scripts for a JsonDatabase collection.
+//
+// Each service keeps its scripts in `migrations/`, named `NNN-description.js`
+// and run in file name order:
+//
+//   module.exports = {
+//     description: "Persist _version on documents written before versioning",
+//     up: (documents) => documents.map((doc) => ({ _version: 1, ...doc })),
+//     down: (documents) => documents.map(({ _version, ...doc }) => doc),
+//   };
+//
+// `up` and `down` receive a copy of every document and return the new set.
+// Applied migrations are recorded in `<collection>_migrations.json` next to
+// the collection file. The collection is written before the record, so a
+// crash in between re-runs the last migrations: keep them idempotent.
+class Migrator {
+  constructor(db, directory) {
+    this.db = db;
+    this.directory = directory;
+    this.recordPath = path.join(
+      db.basePath,
+      `${db.collectionName}_migrations.json`
+    );
+  }
+
+  // Scripts found on disk, in order
+  scripts() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => /^\d+-.+\.js$/.test(file))
+      .sort()
+      .map((file) => {
+        const migration = require(path.join(this.directory, file));
+        if (typeof migration.up !== "function") {
+          throw new DatabaseError(
+            `Migration ${file} does not export an up() function`,
+            "INVALID_MIGRATION"
+          );
+        }
+        return { id: path.basename(file, ".js"), ...migration };
+      });
+  }
+
+  applied() {
+    if (!fs.existsSync(this.recordPath)) return [];
+    return JSON.parse(fs.readFileSync(this.recordPath, "utf8")).applied;
+  }
+
+  status() {
+    const applied = new Map(this.applied().map((entry) => [entry.id, entry]));
+    return this.scripts().map(({ id, description }) => ({
+      id,
+      description: description || "",
+      applied: applied.has(id),
+      appliedAt: applied.has(id) ? applied.get(id).appliedAt : null,
+    }));
+  }
+
+  pending() {
+    const applied = new Set(this.applied().map((entry) => entry.id));
+    return this.scripts().filter(({ id }) => !applied.has(id));
+  }
+
+  // Apply every pending migration. With `dryRun` nothing is written; the
+  // returned report says what would change.
+  up(options = {}) {
+    const pending = this.pending();
+    if (pending.length === 0) return [];
+
+    const { documents, report } = this.run(pending, "up");
+    this.validate(documents);
+
+    if (!options.dryRun) {
+      const appliedAt = new Date().toISOString();
+      this.commit(documents, [
+        ...this.applied(),
+        ...pending.map(({ id, description }) => ({
+          id,
+          description: description || "",
+          appliedAt,
+        })),
+      ]);
+    }
+    return report;
+  }
+
+  // Revert the last `steps` applied migrations, newest first
+  down(options = {}) {
+    const steps = options.steps || 1;
+    const applied = this.applied();
+    const scripts = new Map(this.scripts().map((script) => [script.id, script]));
+
+    const reverting = applied
+      .slice(-steps)
+      .reverse()
+      .map(({ id }) => {
+        const script = scripts.get(id);
+        if (!script || typeof script.down !== "function") {
+          throw new DatabaseError(
+            `Migration ${id} cannot be reverted`,
+            "MIGRATION_IRREVERSIBLE"
+          );
+        }
+        return script;
+      });
+    if (reverting.length === 0) return [];
+
+    const { documents, report } = this.run(reverting, "down");
+    this.validate(documents);
+
+    if (!options.dryRun) {
+      this.commit(
+        documents,
+        applied.slice(0, applied.length - reverting.length)
+      );
+    }
+    return report;
+  }
+
+  run(migrations, direction) {
+    let documents = clone(this.db.collection);
+    const report = [];
+
+    for (const migration of migrations) {
+      const before = new Map(
+        documents.map((doc) => [doc.id, JSON.stringify(doc)])
+      );
+      const result = migration[direction](clone(documents));
+      if (!Array.isArray(result)) {
+        throw new DatabaseError(
+          `Migration ${migration.id} ${direction}() must return the documents`,
+          "INVALID_MIGRATION"
+        );
+      }
+
+      const remaining = new Set(result.map((doc) => doc.id));
+      report.push({
+        id: migration.id,
+        direction,
+        changed: result.filter(
+          (doc) => before.get(doc.id) !== JSON.stringify(doc)
+        ).length,
+        removed: [...before.keys()].filter((id) => !remaining.has(id)).length,
+        total: result.length,
+      });
+      documents = result;
+    }
+
+    return { documents, report };
+  }
+
+  // The result must satisfy the schema the service is about to enforce
+  validate(documents) {
+    if (!this.db.schema) return;
+
+    for (const doc of documents) {
+      try {
+        this.db.schema.validate(doc);
+      } catch (error) {
+        throw new DatabaseError(
+          `Migrated document ${doc.id} is invalid: ${error.message}`,
+          "MIGRATION_FAILED"
+        );
+      }
+    }
+  }
+
+  commit(documents, applied) {
+    this.db.replaceCollection(documents);
+    writeAtomic(this.recordPath, JSON.stringify({ applied }, null, 2), {
+      backup: false,
+    });
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = Migrator;
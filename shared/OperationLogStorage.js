@@ -0,0 +1,150 @@
+const fs = require("fs-extra");
+const JsonFileStorage = require("./JsonFileStorage");
+
+const DEFAULT_COMPACT_THRESHOLD = 1024 * 1024; // 1 MB
+
+// Append-only JsonDatabase storage engine. The JSON file is kept as a
+// snapshot and every mutation appends one NDJSON line to `<name>.log`:
+//   {"op":"insert","id":"...","doc":{...}}
+//   {"op":"update","id":"...","doc":{...}}   (full document after the update)
+//   {"op":"delete","id":"..."}
+// Operations are idempotent, so replaying a log on top of a snapshot that
+// already contains them (crash during compaction) yields the same state.
+class OperationLogStorage extends JsonFileStorage {
+  constructor(filePath, options = {}) {
+    super(filePath, options);
+    this.logPath = filePath.replace(/\.json$/, "") + ".log";
+    this.compactThreshold =
+      options.compactThreshold || DEFAULT_COMPACT_THRESHOLD;
+    this.logSize = 0;
+    this.compactionScheduled = false;
+    this.collectionRef = null;
+  }
+
+  load() {
+    const collection = super.load();
+    const replayed = this.replayLog(collection);
+    this.collectionRef = collection;
+    if (replayed > 0) {
+      console.log(`Replayed ${replayed} operations from ${this.logPath}`);
+    }
+    return collection;
+  }
+
+  replayLog(collection) {
+    if (!fs.existsSync(this.logPath)) {
+      this.logSize = 0;
+      return 0;
+    }
+
+    const data = fs.readFileSync(this.logPath, "utf8");
+    const lastNewline = data.lastIndexOf("\n");
+
+    // A crash in the middle of an append leaves a partial last line; cut it
+    // off so the next append starts on a clean line.
+    if (lastNewline !== data.length - 1) {
+      console.warn(`Discarding partial last entry in ${this.logPath}`);
+      const validBytes = Buffer.byteLength(data.slice(0, lastNewline + 1));
+      fs.truncateSync(this.logPath, validBytes);
+    }
+
+    const lines = data.slice(0, lastNewline + 1).split("\n");
+    const positions = new Map(collection.map((doc, i) => [doc.id, i]));
+    let replayed = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        console.error(`Skipping corrupt log entry in ${this.logPath}`);
+        continue;
+      }
+
+      if (entry.doc) entry.doc = this.decodeDocument(entry.doc);
+      applyOperation(collection, positions, entry);
+      replayed++;
+    }
+
+    this.logSize = fs.statSync(this.logPath).size;
+    return replayed;
+  }
+
+  persist(operation, collection) {
+    this.persistBatch([operation], collection);
+  }
+
+  // All lines go out in one write + fsync
+  persistBatch(operations, collection) {
+    this.collectionRef = collection;
+    const lines = operations
+      .map((operation) => JSON.stringify(this.toLogEntry(operation)) + "\n")
+      .join("");
+
+    const fd = fs.openSync(this.logPath, "a");
+    try {
+      fs.writeSync(fd, lines);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.logSize += Buffer.byteLength(lines);
+    if (this.logSize >= this.compactThreshold) {
+      this.scheduleCompaction();
+    }
+  }
+
+  scheduleCompaction() {
+    if (this.compactionScheduled) return;
+    this.compactionScheduled = true;
+
+    setImmediate(() => {
+      this.compactionScheduled = false;
+      try {
+        this.compact(this.collectionRef);
+      } catch (error) {
+        // The log is still intact, so nothing is lost; retry on next append
+        console.error(`Error compacting ${this.logPath}:`, error.message);
+      }
+    });
+  }
+
+  // Fold the log into the snapshot, then start a fresh log
+  compact(collection) {
+    this.writeSnapshot(collection);
+    fs.writeFileSync(this.logPath, "");
+    this.logSize = 0;
+  }
+
+  flush(collection) {
+    this.collectionRef = collection;
+    this.compact(collection);
+  }
+
+  toLogEntry({ op, doc, id }) {
+    if (op === "delete") return { op, id };
+    return { op, id: doc.id, doc: this.encodeDocument(doc) };
+  }
+}
+
+function applyOperation(collection, positions, { op, id, doc }) {
+  const index = positions.get(id);
+
+  if (op === "insert" || op === "update") {
+    if (index === undefined) {
+      positions.set(id, collection.length);
+      collection.push(doc);
+    } else {
+      collection[index] = doc;
+    }
+  } else if (op === "delete" && index !== undefined) {
+    collection.splice(index, 1);
+    positions.clear();
+    collection.forEach((item, i) => positions.set(item.id, i));
+  }
+}
+
+module.exports = OperationLogStorage;
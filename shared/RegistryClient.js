@@ -0,0 +1,107 @@
+const LoadBalancer = require("./LoadBalancer");
+
+// Base for the registry backends (FileServiceRegistry, HttpServiceRegistry).
+// The registry holds several instances per service:
+//   { "list-service": { "list-service@localhost:3002": { instanceId, url,
+//     healthy, lastHealthCheck, ... }, ... } }
+// Backends implement register, updateHealth, markDraining, unregister,
+// getAllServices and getInstances; discover() picks a healthy instance that
+// is not draining, with the load balancing strategy
+// (LOAD_BALANCING_STRATEGY, default round-robin).
+class RegistryClient {
+  constructor(options = {}) {
+    this.balancer = new LoadBalancer(
+      options.strategy ||
+        process.env.LOAD_BALANCING_STRATEGY ||
+        "round-robin"
+    );
+    // Instances registered by this process, by service name
+    this.registrations = new Map();
+    this.cache = null;
+    this.cacheTtlMs = 0;
+  }
+
+  // Cache instance lists for `ttlMs`. Entries are also dropped as soon as
+  // the registry reports a change, for backends that support watchChanges.
+  enableCache(ttlMs) {
+    this.cacheTtlMs = ttlMs;
+    this.cache = new Map();
+    this.watchChanges();
+  }
+
+  // Overridden by backends that can be notified of registry changes
+  watchChanges() {}
+
+  invalidate(serviceName) {
+    if (!this.cache) return;
+    if (serviceName) this.cache.delete(serviceName);
+    else this.cache.clear();
+  }
+
+  async cachedInstances(serviceName) {
+    if (!this.cache) return this.getInstances(serviceName);
+
+    const cached = this.cache.get(serviceName);
+    if (cached && cached.expiresAt > Date.now()) return cached.instances;
+
+    const instances = await this.getInstances(serviceName);
+    this.cache.set(serviceName, {
+      instances,
+      expiresAt: Date.now() + this.cacheTtlMs,
+    });
+    return instances;
+  }
+
+  // Without an explicit id the instance is named after its host:port, so a
+  // restarted instance replaces its own old entry instead of adding one
+  instanceFor(serviceName, serviceInfo) {
+    return {
+      ...serviceInfo,
+      instanceId:
+        serviceInfo.instanceId ||
+        `${serviceName}@${new URL(serviceInfo.url).host}`,
+    };
+  }
+
+  // Instance this process registered under `serviceName`
+  localInstanceId(serviceName) {
+    return this.registrations.get(serviceName)?.instanceId;
+  }
+
+  async getInstances(serviceName) {
+    const services = await this.getAllServices();
+    return Object.values(services[serviceName] || {});
+  }
+
+  // A healthy, non-draining instance of the service, or null.
+  // options.strategy overrides the default strategy for this call;
+  // options.filter(instance) narrows the candidates (e.g. by version).
+  async discover(serviceName, options = {}) {
+    const instances = (await this.cachedInstances(serviceName)).filter(
+      (instance) =>
+        instance.healthy &&
+        !instance.draining &&
+        (!options.filter || options.filter(instance))
+    );
+    if (instances.length === 0) {
+      console.warn(`Nenhuma instância saudável de ${serviceName}`);
+      return null;
+    }
+    return this.balancer.pick(serviceName, instances, options.strategy);
+  }
+
+  // Discover an instance and run `fn(instance)`, counting the call as in
+  // flight for least-in-flight. Throws (code NO_INSTANCES) when there is no
+  // healthy instance.
+  async withInstance(serviceName, fn, options = {}) {
+    const instance = await this.discover(serviceName, options);
+    if (!instance) {
+      const error = new Error(`Nenhuma instância disponível de ${serviceName}`);
+      error.code = "NO_INSTANCES";
+      throw error;
+    }
+    return this.balancer.track(instance, fn);
+  }
+}
+
+module.exports = RegistryClient;
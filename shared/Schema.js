@@ -0,0 +1,191 @@
+const { ValidationError } = require("./DatabaseErrors");
+
+// Declarative document schema for a JsonDatabase collection.
+//
+//   new Schema({
+//     id: { type: "string", required: true, immutable: true },
+//     status: { type: "string", enum: ["active", "completed"], default: "active" },
+//     items: { type: "array", default: () => [], items: { type: "object", properties: {...} } },
+//     quantity: { type: "number", min: 0, validate: (value, doc) => ... },
+//   })
+//
+// Field options: type ("string", "number", "integer", "boolean", "object",
+// "array", "date" for ISO strings, "any"), required, nullable, enum, default
+// (value or function of the document), immutable, min/max, minLength/
+// maxLength, pattern, properties (objects), items (arrays) and validate, a
+// custom check returning true or an error message.
+//
+// Unknown top-level fields are rejected unless `{ strict: false }` is passed;
+// nested objects accept unknown fields unless their spec sets `strict: true`.
+// `_version` is managed by JsonDatabase and always allowed.
+const SYSTEM_FIELDS = ["_version"];
+
+class Schema {
+  constructor(fields, options = {}) {
+    this.fields = fields;
+    this.strict = options.strict !== false;
+  }
+
+  // Fill in defaults for missing fields (documents being created)
+  applyDefaults(doc) {
+    return applyDefaults(doc, this.fields);
+  }
+
+  // Throws ValidationError listing every problem found in `doc`
+  validate(doc) {
+    const errors = [];
+    validateObject(doc, this.fields, "", errors, doc, this.strict);
+    if (errors.length > 0) throw new ValidationError(errors);
+  }
+
+  // Throws ValidationError if an update changes an immutable field
+  assertImmutable(previous, next) {
+    const errors = [];
+    for (const [field, spec] of Object.entries(this.fields)) {
+      if (!spec.immutable || previous[field] === undefined) continue;
+      if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+        errors.push({ field, message: "is immutable" });
+      }
+    }
+    if (errors.length > 0) throw new ValidationError(errors);
+  }
+}
+
+function applyDefaults(doc, fields) {
+  const result = { ...doc };
+  for (const [field, spec] of Object.entries(fields)) {
+    if (result[field] === undefined && spec.default !== undefined) {
+      result[field] =
+        typeof spec.default === "function"
+          ? spec.default(result)
+          : JSON.parse(JSON.stringify(spec.default));
+    }
+    if (spec.properties && isObject(result[field])) {
+      result[field] = applyDefaults(result[field], spec.properties);
+    }
+    if (spec.items && spec.items.properties && Array.isArray(result[field])) {
+      result[field] = result[field].map((element) =>
+        isObject(element)
+          ? applyDefaults(element, spec.items.properties)
+          : element
+      );
+    }
+  }
+  return result;
+}
+
+function validateObject(value, fields, prefix, errors, root, strict) {
+  for (const [field, spec] of Object.entries(fields)) {
+    validateValue(value[field], spec, prefix + field, errors, root);
+  }
+
+  if (strict) {
+    for (const field of Object.keys(value)) {
+      if (!fields[field] && !SYSTEM_FIELDS.includes(field)) {
+        errors.push({ field: prefix + field, message: "is not allowed" });
+      }
+    }
+  }
+}
+
+function validateValue(value, spec, field, errors, root) {
+  if (value === undefined) {
+    if (spec.required) errors.push({ field, message: "is required" });
+    return;
+  }
+  if (value === null) {
+    if (!spec.nullable) errors.push({ field, message: "must not be null" });
+    return;
+  }
+
+  const typeError = checkType(value, spec.type);
+  if (typeError) {
+    errors.push({ field, message: typeError });
+    return;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${spec.enum.join(", ")}` });
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    errors.push({ field, message: `must be at least ${spec.min}` });
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    errors.push({ field, message: `must be at most ${spec.max}` });
+  }
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    errors.push({
+      field,
+      message: `must have at least ${spec.minLength} characters`,
+    });
+  }
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    errors.push({
+      field,
+      message: `must have at most ${spec.maxLength} characters`,
+    });
+  }
+  if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+    errors.push({ field, message: "has an invalid format" });
+  }
+
+  if (spec.properties) {
+    validateObject(
+      value,
+      spec.properties,
+      `${field}.`,
+      errors,
+      root,
+      Boolean(spec.strict)
+    );
+  }
+  if (spec.items) {
+    value.forEach((element, i) =>
+      validateValue(element, spec.items, `${field}.${i}`, errors, root)
+    );
+  }
+
+  if (spec.validate) {
+    const result = spec.validate(value, root);
+    if (result !== true && result !== undefined) {
+      errors.push({
+        field,
+        message: typeof result === "string" ? result : "is invalid",
+      });
+    }
+  }
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case undefined:
+    case "any":
+      return null;
+    case "string":
+      return typeof value === "string" ? null : "must be a string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? null
+        : "must be a number";
+    case "integer":
+      return Number.isInteger(value) ? null : "must be an integer";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be a boolean";
+    case "object":
+      return isObject(value) ? null : "must be an object";
+    case "array":
+      return Array.isArray(value) ? null : "must be an array";
+    case "date":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value))
+        ? null
+        : "must be an ISO date string";
+    default:
+      throw new Error(`Unknown schema type: ${type}`);
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = Schema;
@@ -0,0 +1,332 @@
+const fs = require("fs-extra");
+const { writeAtomic } = require("./JsonFileStorage");
+const { DuplicateKeyError } = require("./DatabaseErrors");
+const { getValue, isOperatorObject } = require("./queryMatcher");
+
+const INDEX_FORMAT_VERSION = 1;
+const SAVE_DELAY_MS = 1000;
+
+// Single-field secondary indexes for a JsonDatabase collection, persisted to
+// `<collection>_index.json`. Each index maps a field value to the ids of the
+// documents holding it; documents without the field are not indexed.
+// Indexed fields are expected to hold scalar values (not arrays).
+//
+// This is the same `users_index.json`/`items_index.json` the services
+// shipped with, which held an unused id -> updatedAt map. Such files fail the
+// format check in loadPersisted() and are rebuilt from the collection on the
+// first start. The file is derived state, rebuilt whenever it is missing or
+// stale, so it is not kept in git (it would hold indexed values, e.g.
+// emails).
+//
+// Definitions: ["category"] or [{ field: "email", unique: true }]
+// options.blindIndex(field, key) replaces the key of encrypted fields with a
+// keyed hash (see FieldEncryption) so their values never reach the file.
+class SecondaryIndexes {
+  constructor(indexPath, definitions = [], options = {}) {
+    this.indexPath = indexPath;
+    this.blindIndex = options.blindIndex || null;
+    this.definitions = definitions.map((definition) =>
+      typeof definition === "string"
+        ? { field: definition, unique: false }
+        : { field: definition.field, unique: Boolean(definition.unique) }
+    );
+    this.indexes = new Map(
+      this.definitions.map((definition) => [definition.field, new Map()])
+    );
+    this.documentCount = 0;
+    this.saveTimer = null;
+  }
+
+  get enabled() {
+    return this.definitions.length > 0;
+  }
+
+  // Use the persisted index when it matches the collection, otherwise rebuild
+  load(collection) {
+    if (!this.enabled) return;
+
+    if (this.loadPersisted(collection)) return;
+
+    this.rebuild(collection);
+    this.save();
+  }
+
+  loadPersisted(collection) {
+    try {
+      if (!fs.existsSync(this.indexPath)) return false;
+
+      const data = JSON.parse(fs.readFileSync(this.indexPath, "utf8"));
+      if (
+        data.version !== INDEX_FORMAT_VERSION ||
+        data.documentCount !== collection.length ||
+        JSON.stringify(data.definitions) !== JSON.stringify(this.definitions)
+      ) {
+        return false;
+      }
+
+      const indexes = new Map();
+      for (const { field } of this.definitions) {
+        const index = new Map(
+          (data.entries[field] || []).map(([key, ids]) => [key, new Set(ids)])
+        );
+
+        // Every document must be found under its current value and nothing
+        // else may be indexed; otherwise the file is stale (crash before the
+        // lazy save) and gets rebuilt.
+        let indexed = 0;
+        for (const doc of collection) {
+          const key = this.keyFor(field, getValue(doc, field));
+          if (key === undefined) continue;
+          if (!index.get(key)?.has(doc.id)) return false;
+          indexed++;
+        }
+        let total = 0;
+        index.forEach((ids) => (total += ids.size));
+        if (total !== indexed) return false;
+
+        indexes.set(field, index);
+      }
+
+      this.indexes = indexes;
+      this.documentCount = collection.length;
+      return true;
+    } catch (error) {
+      console.warn(`Rebuilding index ${this.indexPath}:`, error.message);
+      return false;
+    }
+  }
+
+  rebuild(collection) {
+    for (const { field, unique } of this.definitions) {
+      const index = new Map();
+      for (const doc of collection) {
+        const key = this.keyFor(field, getValue(doc, field));
+        if (key === undefined) continue;
+
+        if (!index.has(key)) index.set(key, new Set());
+        if (unique && index.get(key).size > 0) {
+          console.warn(
+            `Unique index "${field}" has duplicate value ${key} in existing data`
+          );
+        }
+        index.get(key).add(doc.id);
+      }
+      this.indexes.set(field, index);
+    }
+    this.documentCount = collection.length;
+  }
+
+  // Throws DuplicateKeyError if `doc` would break a unique index
+  assertUnique(doc) {
+    for (const { field, unique } of this.definitions) {
+      if (!unique) continue;
+
+      const key = this.keyFor(field, getValue(doc, field));
+      if (key === undefined) continue;
+
+      const ids = this.indexes.get(field).get(key);
+      if (ids && [...ids].some((id) => id !== doc.id)) {
+        throw new DuplicateKeyError(field, getValue(doc, field));
+      }
+    }
+  }
+
+  // Unique check for a set of documents written together (transactions,
+  // bulk writes): against the stored documents, ignoring `replacedIds`, and
+  // against each other.
+  assertUniqueBatch(docs, replacedIds = new Set()) {
+    for (const { field, unique } of this.definitions) {
+      if (!unique) continue;
+
+      const seen = new Map();
+      for (const doc of docs) {
+        const value = getValue(doc, field);
+        const key = this.keyFor(field, value);
+        if (key === undefined) continue;
+
+        const ids = this.indexes.get(field).get(key);
+        const clash =
+          (ids && [...ids].some((id) => !replacedIds.has(id))) ||
+          (seen.has(key) && seen.get(key) !== doc.id);
+        if (clash) throw new DuplicateKeyError(field, value);
+        seen.set(key, doc.id);
+      }
+    }
+  }
+
+  add(doc) {
+    if (!this.enabled) return;
+    this.addKeys(doc);
+    this.documentCount++;
+    this.scheduleSave();
+  }
+
+  remove(doc) {
+    if (!this.enabled) return;
+    this.removeKeys(doc);
+    this.documentCount--;
+    this.scheduleSave();
+  }
+
+  replace(previous, next) {
+    if (!this.enabled) return;
+    this.removeKeys(previous);
+    this.addKeys(next);
+    this.scheduleSave();
+  }
+
+  addKeys(doc) {
+    for (const { field } of this.definitions) {
+      const key = this.keyFor(field, getValue(doc, field));
+      if (key === undefined) continue;
+
+      const index = this.indexes.get(field);
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(doc.id);
+    }
+  }
+
+  removeKeys(doc) {
+    for (const { field } of this.definitions) {
+      const key = this.keyFor(field, getValue(doc, field));
+      if (key === undefined) continue;
+
+      const index = this.indexes.get(field);
+      const ids = index.get(key);
+      if (!ids) continue;
+
+      ids.delete(doc.id);
+      if (ids.size === 0) index.delete(key);
+    }
+  }
+
+  // Candidate ids for a filter, or null when no index applies. Uses the most
+  // selective indexed equality/$in condition, a `$and` branch, or the union
+  // over a `$or` whose branches are all indexed.
+  candidates(filter) {
+    if (!this.enabled) return null;
+
+    let best = null;
+    const consider = (ids) => {
+      if (best === null || ids.size < best.size) best = ids;
+    };
+
+    for (const [field, value] of Object.entries(filter)) {
+      const ids = this.lookup(field, value);
+      if (ids) consider(ids);
+    }
+
+    if (Array.isArray(filter.$or) && filter.$or.length > 0) {
+      const union = new Set();
+      const allIndexed = filter.$or.every((condition) => {
+        const branch = this.candidates(condition);
+        if (!branch) return false;
+        branch.forEach((id) => union.add(id));
+        return true;
+      });
+      if (allIndexed) consider(union);
+    }
+
+    if (Array.isArray(filter.$and)) {
+      for (const condition of filter.$and) {
+        const branch = this.candidates(condition);
+        if (branch) consider(branch);
+      }
+    }
+
+    return best;
+  }
+
+  lookup(field, condition) {
+    const index = this.indexes.get(field);
+    if (!index) return null;
+
+    if (isIndexableValue(condition)) {
+      return index.get(this.keyFor(field, condition)) || new Set();
+    }
+    if (!isOperatorObject(condition)) return null;
+
+    // Only conditions that pin the field to known values can use the index
+    const values =
+      "$eq" in condition
+        ? [condition.$eq]
+        : Array.isArray(condition.$in)
+        ? condition.$in
+        : null;
+    if (!values || !values.every(isIndexableValue)) return null;
+
+    const ids = new Set();
+    for (const value of values) {
+      const matches = index.get(this.keyFor(field, value));
+      if (matches) matches.forEach((id) => ids.add(id));
+    }
+    return ids;
+  }
+
+  keyFor(field, value) {
+    const key = indexKey(value);
+    if (key === undefined || !this.blindIndex) return key;
+    return this.blindIndex(field, key) || key;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    // The index can always be rebuilt from the collection, so it is written
+    // lazily instead of on every mutation.
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.save();
+      } catch (error) {
+        console.error(`Error saving index ${this.indexPath}:`, error.message);
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    if (!this.enabled) return;
+
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const entries = {};
+    for (const [field, index] of this.indexes) {
+      entries[field] = [...index].map(([key, ids]) => [key, [...ids]]);
+    }
+
+    writeAtomic(
+      this.indexPath,
+      JSON.stringify(
+        {
+          version: INDEX_FORMAT_VERSION,
+          definitions: this.definitions,
+          documentCount: this.documentCount,
+          entries,
+        },
+        null,
+        2
+      ),
+      { backup: false }
+    );
+  }
+}
+
+function isIndexableValue(value) {
+  return (
+    typeof value === "string" ||
+    typeof value === "number" ||
+    typeof value === "boolean"
+  );
+}
+
+// Keys are typed so that 1 and "1" do not collide
+function indexKey(value) {
+  if (!isIndexableValue(value)) return undefined;
+  return `${typeof value}:${value}`;
+}
+
+module.exports = SecondaryIndexes;
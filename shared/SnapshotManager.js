@@ -0,0 +1,187 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { writeAtomic } = require("./JsonFileStorage");
+const { DatabaseError } = require("./DatabaseErrors");
+const Migrator = require("./Migrator");
+
+const DEFAULT_RETENTION = { maxCount: 10, maxAgeMs: null };
+
+// Timestamped point-in-time copies of a JsonDatabase collection, stored as
+// `<directory>/<collection>-<timestamp>.json`:
+//   { id, collection, createdAt, reason, documentCount, migrations, documents }
+// `migrations` lists the migrations applied when it was taken; a snapshot
+// can only be restored while the same ones are applied.
+//
+// Encrypted fields (options.encryption of JsonDatabase) stay encrypted in
+// the file.
+//
+// The in-memory collection is only changed synchronously, so serializing it
+// always yields a consistent snapshot, even while the service is serving.
+//
+// Options: directory (default `<database dir>/snapshots`), intervalMs for
+// scheduled snapshots (skipped when nothing changed since the last one) and
+// retention { maxCount, maxAgeMs }. The newest snapshot is never pruned.
+class SnapshotManager {
+  constructor(db, options = {}) {
+    this.db = db;
+    this.directory = options.directory || path.join(db.basePath, "snapshots");
+    this.retention = { ...DEFAULT_RETENTION, ...options.retention };
+    this.intervalMs = options.intervalMs || null;
+    this.timer = null;
+    this.lastSeq = null;
+  }
+
+  start() {
+    if (!this.intervalMs || this.timer) return;
+
+    this.timer = setInterval(() => {
+      if (this.db.changes.seq === this.lastSeq) return;
+      try {
+        this.create("scheduled");
+      } catch (error) {
+        console.error(
+          `Error taking snapshot of ${this.db.collectionName}:`,
+          error.message
+        );
+      }
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  create(reason = "manual") {
+    fs.ensureDirSync(this.directory);
+
+    const createdAt = new Date();
+    const id = this.uniqueId(createdAt);
+    const snapshot = {
+      id,
+      collection: this.db.collectionName,
+      createdAt: createdAt.toISOString(),
+      reason,
+      documentCount: this.db.collection.length,
+      migrations: this.appliedMigrations(),
+      documents: this.db.collection.map((doc) => this.db.encodeDocument(doc)),
+    };
+
+    writeAtomic(this.pathFor(id), JSON.stringify(snapshot), { backup: false });
+    this.lastSeq = this.db.changes.seq;
+    this.prune();
+
+    const { documents, ...metadata } = snapshot;
+    return metadata;
+  }
+
+  // Metadata of every snapshot, newest first
+  list() {
+    if (!fs.existsSync(this.directory)) return [];
+
+    const prefix = `${this.db.collectionName}-`;
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => file.startsWith(prefix) && file.endsWith(".json"))
+      .map((file) => {
+        const filePath = path.join(this.directory, file);
+        try {
+          const { documents, ...metadata } = JSON.parse(
+            fs.readFileSync(filePath, "utf8")
+          );
+          return { ...metadata, size: fs.statSync(filePath).size };
+        } catch (error) {
+          console.warn(`Ignoring unreadable snapshot ${filePath}`);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Documents of a snapshot, by id or the latest one taken at or before
+  // `{ at: <date> }`
+  read(selector) {
+    const id =
+      typeof selector === "string" ? selector : this.latestAt(selector.at);
+    const filePath = id && this.pathFor(id);
+    if (
+      !filePath ||
+      !id.startsWith(`${this.db.collectionName}-`) ||
+      !fs.existsSync(filePath)
+    ) {
+      throw new DatabaseError(
+        `Snapshot not found: ${id || selector.at}`,
+        "SNAPSHOT_NOT_FOUND"
+      );
+    }
+
+    const snapshot = this.readFile(filePath);
+    if (
+      JSON.stringify(snapshot.migrations || []) !==
+      JSON.stringify(this.appliedMigrations())
+    ) {
+      throw new DatabaseError(
+        `Snapshot ${id} was taken with different migrations applied`,
+        "SNAPSHOT_INCOMPATIBLE"
+      );
+    }
+    return snapshot;
+  }
+
+  // Snapshot file with its documents decoded
+  readFile(filePath) {
+    const snapshot = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    snapshot.documents = snapshot.documents.map((doc) =>
+      this.db.decodeDocument(doc)
+    );
+    return snapshot;
+  }
+
+  appliedMigrations() {
+    return new Migrator(this.db, null).applied().map(({ id }) => id);
+  }
+
+  latestAt(at) {
+    const date = new Date(at);
+    if (Number.isNaN(date.getTime())) {
+      throw new DatabaseError(`Invalid date: ${at}`, "INVALID_SNAPSHOT");
+    }
+    const limit = date.toISOString();
+    const snapshot = this.list().find(({ createdAt }) => createdAt <= limit);
+    return snapshot ? snapshot.id : null;
+  }
+
+  prune() {
+    const { maxCount, maxAgeMs } = this.retention;
+    const now = Date.now();
+
+    this.list().forEach((snapshot, i) => {
+      if (i === 0) return;
+      const tooMany = maxCount && i >= maxCount;
+      const tooOld =
+        maxAgeMs && now - Date.parse(snapshot.createdAt) > maxAgeMs;
+      if (tooMany || tooOld) fs.removeSync(this.pathFor(snapshot.id));
+    });
+  }
+
+  uniqueId(date) {
+    const stamp = date.toISOString().replace(/[-:.]/g, "");
+    let id = `${this.db.collectionName}-${stamp}`;
+    for (let n = 1; fs.existsSync(this.pathFor(id)); n++) {
+      id = `${this.db.collectionName}-${stamp}-${n}`;
+    }
+    return id;
+  }
+
+  pathFor(id) {
+    // Ids come from HTTP requests; never let them escape the directory
+    if (!/^[\w-]+$/.test(id)) {
+      throw new DatabaseError(`Invalid snapshot id: ${id}`, "INVALID_SNAPSHOT");
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = SnapshotManager;
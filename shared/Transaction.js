@@ -0,0 +1,296 @@
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const { writeAtomic } = require("./JsonFileStorage");
+const {
+  DatabaseError,
+  DuplicateKeyError,
+  VersionConflictError,
+} = require("./DatabaseErrors");
+const { matchesFilter } = require("./queryMatcher");
+const { sortKeys, compareByKeys, applyProjection } = require("./queryOptions");
+
+const JOURNAL_FILE = "_transaction.json";
+
+// Multi-document, multi-collection transaction created by
+// JsonDatabase.transaction(). Writes are staged in memory and only reach the
+// collections on commit; reads through the transaction see staged changes.
+//
+// Commit protocol: the staged operations of every collection are written to
+// `<database dir>/_transaction.json` (the commit point), applied to each
+// collection, and the journal is removed. A collection that finds a journal
+// on startup re-applies its part, so a crash never leaves half a transaction.
+class Transaction {
+  constructor(db) {
+    this.db = db;
+    this.id = crypto.randomUUID();
+    this.staged = new Map(); // JsonDatabase -> Map<id, entry>
+    this.finished = false;
+  }
+
+  // Scope the transaction to another collection of the same service
+  collection(db) {
+    if (path.resolve(db.basePath) !== path.resolve(this.db.basePath)) {
+      throw new DatabaseError(
+        "Transactions can only span collections in the same directory",
+        "INVALID_TRANSACTION"
+      );
+    }
+    return new TransactionCollection(this, db);
+  }
+
+  // Shortcuts for the collection the transaction was started on
+  findById(id) {
+    return this.collection(this.db).findById(id);
+  }
+
+  find(filter, options) {
+    return this.collection(this.db).find(filter, options);
+  }
+
+  create(data) {
+    return this.collection(this.db).create(data);
+  }
+
+  update(id, updates, options) {
+    return this.collection(this.db).update(id, updates, options);
+  }
+
+  delete(id, options) {
+    return this.collection(this.db).delete(id, options);
+  }
+
+  entriesFor(db) {
+    this.assertActive();
+    if (!this.staged.has(db)) this.staged.set(db, new Map());
+    return this.staged.get(db);
+  }
+
+  assertActive() {
+    if (this.finished) {
+      throw new DatabaseError(
+        "Transaction already finished",
+        "INVALID_TRANSACTION"
+      );
+    }
+  }
+
+  // Validate against the current state of every collection, then write the
+  // journal and apply. Runs synchronously, so no other write can interleave.
+  commit() {
+    this.assertActive();
+    this.finished = true;
+
+    const participants = [];
+    for (const [db, entries] of this.staged) {
+      const operations = this.validate(db, entries);
+      if (operations.length > 0) participants.push({ db, operations });
+    }
+    if (participants.length === 0) return;
+
+    const journalPath = path.join(this.db.basePath, JOURNAL_FILE);
+    writeAtomic(
+      journalPath,
+      JSON.stringify({
+        id: this.id,
+        participants: participants.map(({ db, operations }) => ({
+          collection: db.collectionName,
+          operations: operations.map((operation) =>
+            operation.doc
+              ? { ...operation, doc: db.encodeDocument(operation.doc) }
+              : operation
+          ),
+        })),
+      }),
+      { backup: false }
+    );
+
+    for (const { db, operations } of participants) {
+      db.applyOperations(operations);
+    }
+
+    fs.removeSync(journalPath);
+  }
+
+  rollback() {
+    this.finished = true;
+    this.staged.clear();
+  }
+
+  validate(db, entries) {
+    const operations = [];
+    const written = [];
+
+    for (const [id, entry] of entries) {
+      const stored = db.byId.get(id);
+      const storedVersion = stored ? stored._version : null;
+
+      if (storedVersion !== entry.baseVersion) {
+        throw new VersionConflictError(
+          stored ? clone(stored) : { id, _version: null },
+          entry.baseVersion
+        );
+      }
+
+      if (entry.doc === null) {
+        if (stored) operations.push({ op: "delete", id });
+      } else {
+        const op = stored ? "update" : "insert";
+        operations.push({ op, id, doc: entry.doc });
+        written.push(entry.doc);
+      }
+    }
+
+    db.indexes.assertUniqueBatch(written, new Set(entries.keys()));
+    return operations;
+  }
+}
+
+class TransactionCollection {
+  constructor(transaction, db) {
+    this.transaction = transaction;
+    this.db = db;
+  }
+
+  get entries() {
+    return this.transaction.entriesFor(this.db);
+  }
+
+  current(id) {
+    const entry = this.entries.get(id);
+    if (entry) return entry.doc;
+    return this.db.byId.get(id) || null;
+  }
+
+  stage(id, doc) {
+    const entries = this.entries;
+    if (!entries.has(id)) {
+      const stored = this.db.byId.get(id);
+      entries.set(id, { baseVersion: stored ? stored._version : null, doc });
+    } else {
+      entries.get(id).doc = doc;
+    }
+  }
+
+  async findById(id) {
+    const doc = this.current(id);
+    return doc && this.db.isVisible(doc) ? clone(doc) : null;
+  }
+
+  async find(filter = {}, options = {}) {
+    const entries = this.entries;
+    const documents = this.db.collection
+      .map((item) => (entries.has(item.id) ? entries.get(item.id).doc : item))
+      .filter(Boolean);
+    for (const [id, entry] of entries) {
+      if (entry.doc && !this.db.byId.has(id)) documents.push(entry.doc);
+    }
+
+    const now = Date.now();
+    let results = documents.filter(
+      (item) => this.db.isVisible(item, now) && matchesFilter(item, filter)
+    );
+    if (options.sort) {
+      const keys = sortKeys(options.sort);
+      results.sort((a, b) => compareByKeys(a, b, keys));
+    }
+    if (options.skip) results = results.slice(options.skip);
+    if (options.limit) results = results.slice(0, options.limit);
+    if (options.projection) {
+      results = results.map((item) =>
+        applyProjection(item, options.projection)
+      );
+    }
+    return results.map(clone);
+  }
+
+  async create(data) {
+    if (this.current(data.id)) {
+      throw new DuplicateKeyError("id", data.id);
+    }
+
+    const stored = this.db.byId.get(data.id);
+    const doc = {
+      ...this.db.prepareInsert(data),
+      _version: stored ? stored._version + 1 : 1,
+    };
+    this.stage(doc.id, doc);
+    return clone(doc);
+  }
+
+  async update(id, updates, options = {}) {
+    const current = this.current(id);
+    if (!current) return null;
+
+    this.db.assertVersion(current, options.expectedVersion);
+
+    // One version bump per transaction, however many times the doc changes
+    const stored = this.db.byId.get(id);
+    const doc = {
+      ...this.db.prepareUpdate(current, updates),
+      _version: stored ? stored._version + 1 : 1,
+    };
+    this.stage(id, doc);
+    return clone(doc);
+  }
+
+  async delete(id, options = {}) {
+    const current = this.current(id);
+    if (!current) return false;
+
+    this.db.assertVersion(current, options.expectedVersion);
+    this.stage(id, null);
+    return true;
+  }
+}
+
+// Finish a transaction interrupted by a crash after its commit point
+function recoverJournal(db) {
+  const journalPath = path.join(db.basePath, JOURNAL_FILE);
+  if (!fs.existsSync(journalPath)) return;
+
+  let journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+  } catch (error) {
+    // The journal is renamed into place atomically, so an unreadable one
+    // was never committed
+    console.warn(`Discarding unreadable transaction journal ${journalPath}`);
+    fs.removeSync(journalPath);
+    return;
+  }
+
+  const participant = journal.participants.find(
+    (entry) => entry.collection === db.collectionName
+  );
+  if (!participant) return;
+
+  console.warn(
+    `Recovering transaction ${journal.id} for collection ${db.collectionName}`
+  );
+  db.applyOperations(
+    participant.operations.map((operation) =>
+      operation.doc
+        ? { ...operation, doc: db.decodeDocument(operation.doc) }
+        : operation
+    )
+  );
+
+  // Drop our part; the last collection to recover removes the journal
+  journal.participants = journal.participants.filter(
+    (entry) => entry !== participant
+  );
+  if (journal.participants.length === 0) {
+    fs.removeSync(journalPath);
+  } else {
+    writeAtomic(journalPath, JSON.stringify(journal), { backup: false });
+  }
+}
+
+function clone(item) {
+  return JSON.parse(JSON.stringify(item));
+}
+
+Transaction.recoverJournal = recoverJournal;
+
+module.exports = Transaction;
@@ -0,0 +1,71 @@
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 1000;
+
+// Time-to-live index for a JsonDatabase collection. A document expires
+// `expireAfterSeconds` after the date held in `field` (ISO string or epoch
+// milliseconds); documents without a valid date never expire.
+//
+//   new JsonDatabase(dbPath, "sessions", {
+//     ttl: { field: "expiresAt", expireAfterSeconds: 0 },
+//   });
+//
+// Expired documents are hidden from reads right away and deleted by a
+// background purge every `intervalMs`, as one batch per run.
+class TtlIndex {
+  constructor(db, options) {
+    this.db = db;
+    this.field = options.field;
+    this.expireAfterMs = (options.expireAfterSeconds || 0) * 1000;
+    this.intervalMs = options.intervalMs || DEFAULT_PURGE_INTERVAL_MS;
+    this.timer = null;
+  }
+
+  isExpired(doc, now = Date.now()) {
+    const value = doc[this.field];
+    const time =
+      typeof value === "number"
+        ? value
+        : typeof value === "string"
+        ? Date.parse(value)
+        : NaN;
+    return !Number.isNaN(time) && time + this.expireAfterMs <= now;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      try {
+        this.purge();
+      } catch (error) {
+        console.error(
+          `Error purging expired documents from ${this.db.collectionName}:`,
+          error.message
+        );
+      }
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Delete every expired document; returns how many were removed
+  purge() {
+    const now = Date.now();
+    const operations = this.db.collection
+      .filter((doc) => this.isExpired(doc, now))
+      .map((doc) => ({ op: "delete", id: doc.id }));
+
+    if (operations.length > 0) {
+      this.db.applyOperations(operations);
+      console.log(
+        `Purged ${operations.length} expired documents from ${this.db.collectionName}`
+      );
+    }
+    return operations.length;
+  }
+}
+
+module.exports = TtlIndex;
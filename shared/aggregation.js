@@ -0,0 +1,247 @@
+const { DatabaseError } = require("./DatabaseErrors");
+const { matchesFilter, getValue } = require("./queryMatcher");
+const { sortDocuments } = require("./queryOptions");
+
+// Aggregation pipeline for JsonDatabase.aggregate:
+//
+//   db.aggregate([
+//     { $match: { userId } },
+//     { $unwind: "$items" },
+//     { $group: {
+//         _id: "$items.category",
+//         spend: { $sum: { $multiply: ["$items.price", "$items.quantity"] } },
+//         items: { $count: {} },
+//     } },
+//     { $sort: { spend: -1 } },
+//     { $limit: 5 },
+//     { $project: { category: "$_id", spend: 1, _id: 0 } },
+//   ])
+//
+// Expressions: "$field.path" references, literals, and $add, $subtract,
+// $multiply, $divide over expressions.
+
+const STAGES = {
+  $match: (documents, filter) =>
+    documents.filter((doc) => matchesFilter(doc, filter)),
+  $unwind: unwind,
+  $group: group,
+  $sort: (documents, sort) => sortDocuments([...documents], sort),
+  $limit: (documents, limit) => documents.slice(0, limit),
+  $project: (documents, projection) =>
+    documents.map((doc) => project(doc, projection)),
+};
+
+function runPipeline(documents, pipeline) {
+  if (!Array.isArray(pipeline)) {
+    throw new DatabaseError("Pipeline must be an array", "INVALID_QUERY");
+  }
+
+  return pipeline.reduce((results, stage) => {
+    const [name, ...extra] = Object.keys(stage);
+    if (!STAGES[name] || extra.length > 0) {
+      throw new DatabaseError(
+        `Invalid pipeline stage ${Object.keys(stage).join(", ")}`,
+        "INVALID_QUERY"
+      );
+    }
+    return STAGES[name](results, stage[name]);
+  }, documents);
+}
+
+// { $unwind: "$items" } or { $unwind: { path: "$items",
+// preserveNullAndEmptyArrays: true } }: one output document per element
+function unwind(documents, options) {
+  const { path, preserveNullAndEmptyArrays } =
+    typeof options === "string" ? { path: options } : options;
+  const field = fieldPath(path);
+
+  return documents.flatMap((doc) => {
+    const value = getValue(doc, field);
+    if (!Array.isArray(value) || value.length === 0) {
+      return preserveNullAndEmptyArrays ? [doc] : [];
+    }
+    return value.map((element) => setPath(doc, field, element));
+  });
+}
+
+const ACCUMULATORS = {
+  $sum: {
+    init: () => 0,
+    add: (total, value) => (typeof value === "number" ? total + value : total),
+  },
+  $avg: {
+    init: () => ({ total: 0, count: 0 }),
+    add: (state, value) =>
+      typeof value === "number"
+        ? { total: state.total + value, count: state.count + 1 }
+        : state,
+    result: ({ total, count }) => (count > 0 ? total / count : null),
+  },
+  $min: {
+    init: () => null,
+    add: (min, value) =>
+      value !== undefined && value !== null && (min === null || value < min)
+        ? value
+        : min,
+  },
+  $max: {
+    init: () => null,
+    add: (max, value) =>
+      value !== undefined && value !== null && (max === null || value > max)
+        ? value
+        : max,
+  },
+  $count: {
+    init: () => 0,
+    add: (count) => count + 1,
+  },
+};
+
+// { $group: { _id: <expression>, field: { $accumulator: <expression> } } }
+function group(documents, spec) {
+  if (!("_id" in spec)) {
+    throw new DatabaseError("$group requires an _id", "INVALID_QUERY");
+  }
+
+  const fields = Object.entries(spec)
+    .filter(([field]) => field !== "_id")
+    .map(([field, accumulator]) => {
+      const [operator] = Object.keys(accumulator || {});
+      if (!ACCUMULATORS[operator]) {
+        throw new DatabaseError(
+          `Unknown accumulator for ${field}`,
+          "INVALID_QUERY"
+        );
+      }
+      return { field, operator, expression: accumulator[operator] };
+    });
+
+  const groups = new Map();
+  for (const doc of documents) {
+    const id = evaluate(doc, spec._id);
+    const key = JSON.stringify(id === undefined ? null : id);
+
+    if (!groups.has(key)) {
+      const state = { _id: id === undefined ? null : id };
+      fields.forEach(({ field, operator }) => {
+        state[field] = ACCUMULATORS[operator].init();
+      });
+      groups.set(key, state);
+    }
+
+    const state = groups.get(key);
+    for (const { field, operator, expression } of fields) {
+      state[field] = ACCUMULATORS[operator].add(
+        state[field],
+        evaluate(doc, expression)
+      );
+    }
+  }
+
+  return [...groups.values()].map((state) => {
+    for (const { field, operator } of fields) {
+      const { result } = ACCUMULATORS[operator];
+      if (result) state[field] = result(state[field]);
+    }
+    return state;
+  });
+}
+
+// 1/true keeps a field, 0/false drops it, anything else is an expression
+// computing the field. `id` and `_id` are kept unless set to 0.
+function project(doc, projection) {
+  const entries = Object.entries(projection);
+  const exclusive = entries.some(
+    ([field, value]) => field !== "_id" && field !== "id" && isExclusion(value)
+  );
+
+  if (exclusive) {
+    let result = doc;
+    for (const [field, value] of entries) {
+      if (isExclusion(value)) result = setPath(result, field, undefined);
+    }
+    return result;
+  }
+
+  let result = {};
+  for (const field of ["id", "_id"]) {
+    if (doc[field] !== undefined && !isExclusion(projection[field])) {
+      result[field] = doc[field];
+    }
+  }
+  for (const [field, value] of entries) {
+    if (isExclusion(value)) {
+      delete result[field];
+      continue;
+    }
+    const fieldValue =
+      value === 1 || value === true
+        ? getValue(doc, field)
+        : evaluate(doc, value);
+    if (fieldValue !== undefined) result = setPath(result, field, fieldValue);
+  }
+  return result;
+}
+
+function isExclusion(value) {
+  return value === 0 || value === false;
+}
+
+const OPERATORS = {
+  $add: (values) => values.reduce((a, b) => a + b, 0),
+  $subtract: ([a, b]) => a - b,
+  $multiply: (values) => values.reduce((a, b) => a * b, 1),
+  $divide: ([a, b]) => (b === 0 ? null : a / b),
+};
+
+function evaluate(doc, expression) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getValue(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((element) => evaluate(doc, element));
+  }
+  if (expression !== null && typeof expression === "object") {
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && OPERATORS[keys[0]]) {
+      const operands = evaluate(doc, [].concat(expression[keys[0]]));
+      if (operands.some((value) => typeof value !== "number")) return null;
+      return OPERATORS[keys[0]](operands);
+    }
+
+    // Object of expressions, e.g. a compound _id
+    const result = {};
+    for (const [key, value] of Object.entries(expression)) {
+      result[key] = evaluate(doc, value);
+    }
+    return result;
+  }
+  return expression;
+}
+
+function fieldPath(path) {
+  if (typeof path !== "string" || !path.startsWith("$")) {
+    throw new DatabaseError(
+      `Expected a field path like "$items", got ${path}`,
+      "INVALID_QUERY"
+    );
+  }
+  return path.slice(1);
+}
+
+// Copy of `doc` with the value at a dot path replaced (undefined removes it)
+function setPath(doc, path, value) {
+  const [key, ...rest] = path.split(".");
+  const result = { ...doc };
+  if (rest.length === 0) {
+    if (value === undefined) delete result[key];
+    else result[key] = value;
+  } else {
+    const child =
+      doc[key] !== null && typeof doc[key] === "object" ? doc[key] : {};
+    result[key] = setPath(child, rest.join("."), value);
+  }
+  return result;
+}
+
+module.exports = { runPipeline };
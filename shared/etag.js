@@ -0,0 +1,19 @@
+// ETag / If-Match helpers for documents versioned by JsonDatabase (_version)
+
+function etagFor(doc) {
+  return `"${doc._version}"`;
+}
+
+// Returns the version required by an If-Match header, or null when the
+// header is absent or "*" (any version). Weak validators are accepted.
+function versionFromIfMatch(header) {
+  if (!header || header.trim() === "*") return null;
+
+  const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? Number(match[1]) : NaN;
+}
+
+module.exports = {
+  etagFor,
+  versionFromIfMatch,
+};
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Migration CLI, run from a service directory with the service stopped:
+//
+//   node ../../shared/migrate.js --collection=lists --storage=log status
+//   node ../../shared/migrate.js --collection=lists --storage=log up --dry-run
+//   node ../../shared/migrate.js --collection=lists --storage=log down --steps=2
+//
+// Options: --database (default ./database), --migrations (default
+// ./migrations), --storage (default json), --dry-run, --steps (down only),
+// --encrypt=<field,...> for collections with encrypted fields (keys from
+// DB_ENCRYPTION_KEYS/DB_BLIND_INDEX_KEY, as in the service).
+// Services run pending migrations on startup, so `up` is rarely needed here.
+const path = require("path");
+const JsonDatabase = require("./JsonDatabase");
+const Migrator = require("./Migrator");
+const { encryptionKeysFromEnv } = require("./FieldEncryption");
+
+function parseArgs(argv) {
+  const args = { command: "status", options: {} };
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args.options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      args.command = arg;
+    }
+  }
+  return args;
+}
+
+function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  if (!options.collection) {
+    console.error("Missing --collection=<name>");
+    process.exit(1);
+  }
+
+  const directory = path.resolve(options.migrations || "migrations");
+  const db = new JsonDatabase(
+    path.resolve(options.database || "database"),
+    options.collection,
+    {
+      storage: options.storage,
+      migrations: { directory, manual: true },
+      encryption: options.encrypt
+        ? { fields: options.encrypt.split(","), ...encryptionKeysFromEnv() }
+        : null,
+    }
+  );
+  const migrator = new Migrator(db, directory);
+  const dryRun = Boolean(options["dry-run"]);
+
+  let report;
+  switch (command) {
+    case "status":
+      console.table(migrator.status());
+      return;
+    case "up":
+      report = migrator.up({ dryRun });
+      break;
+    case "down":
+      report = migrator.down({ dryRun, steps: Number(options.steps) || 1 });
+      break;
+    default:
+      console.error(`Unknown command: ${command} (use status, up or down)`);
+      process.exit(1);
+  }
+
+  if (report.length === 0) {
+    console.log("Nothing to migrate");
+  } else {
+    console.log(dryRun ? "Dry run, nothing was written:" : "Migrated:");
+    console.table(report);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,198 @@
+const { DatabaseError } = require("./DatabaseErrors");
+
+// Mongo-style filter matching for JsonDatabase.
+//
+//   { status: "active" }                          equality
+//   { "preferences.currency": "BRL" }             dot paths into sub-documents
+//   { "items.purchased": true }                   ...and through arrays
+//   { averagePrice: { $gte: 2, $lt: 10 } }        comparison operators
+//   { name: { $regex: "^arr", $options: "i" } }   per-field regex
+//   { items: { $elemMatch: { itemId: "..." } } }  array element matching
+//   { $or: [...], $and: [...] }                   logical operators
+
+function matchesFilter(doc, filter = {}) {
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key.startsWith("$")) {
+      if (!matchesLogical(doc, key, condition)) return false;
+    } else if (!matchesField(resolvePath(doc, key), condition)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function matchesLogical(doc, operator, conditions) {
+  if (!Array.isArray(conditions)) {
+    throw new DatabaseError(`${operator} expects an array`, "INVALID_QUERY");
+  }
+
+  switch (operator) {
+    case "$or":
+      return conditions.some((condition) => matchesFilter(doc, condition));
+    case "$and":
+      return conditions.every((condition) => matchesFilter(doc, condition));
+    default:
+      throw new DatabaseError(
+        `Unknown query operator ${operator}`,
+        "INVALID_QUERY"
+      );
+  }
+}
+
+// `values` holds every value reachable through the path (several when the
+// path crosses an array), or is empty when the field is missing.
+function matchesField(values, condition) {
+  if (!isOperatorObject(condition)) {
+    return values.some((value) => valueEquals(value, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) =>
+    applyOperator(values, operator, operand, condition)
+  );
+}
+
+function applyOperator(values, operator, operand, condition) {
+  switch (operator) {
+    case "$eq":
+      return values.some((value) => valueEquals(value, operand));
+    case "$ne":
+      return !values.some((value) => valueEquals(value, operand));
+    case "$gt":
+      return values.some((value) => compare(value, operand) > 0);
+    case "$gte":
+      return values.some((value) => compare(value, operand) >= 0);
+    case "$lt":
+      return values.some((value) => compare(value, operand) < 0);
+    case "$lte":
+      return values.some((value) => compare(value, operand) <= 0);
+    case "$in":
+      assertArray(operator, operand);
+      return operand.some((candidate) =>
+        values.some((value) => valueEquals(value, candidate))
+      );
+    case "$nin":
+      assertArray(operator, operand);
+      return !operand.some((candidate) =>
+        values.some((value) => valueEquals(value, candidate))
+      );
+    case "$exists":
+      return (values.length > 0) === Boolean(operand);
+    case "$regex": {
+      const regex =
+        operand instanceof RegExp
+          ? operand
+          : new RegExp(operand, condition.$options || "");
+      return values.some(
+        (value) => typeof value === "string" && regex.test(value)
+      );
+    }
+    case "$options":
+      // Consumed by $regex
+      return true;
+    case "$not":
+      return !matchesField(values, operand);
+    case "$elemMatch":
+      return values.some(
+        (value) =>
+          Array.isArray(value) &&
+          value.some((element) =>
+            isOperatorObject(operand)
+              ? matchesField([element], operand)
+              : isPlainObject(element) && matchesFilter(element, operand)
+          )
+      );
+    default:
+      throw new DatabaseError(
+        `Unknown query operator ${operator}`,
+        "INVALID_QUERY"
+      );
+  }
+}
+
+// Collect the values at a dot path. Arrays met along the way are traversed,
+// so "items.purchased" yields the flag of every item in the list. A final
+// array value is returned both as a whole and element by element, which
+// makes { tags: "x" } match documents whose `tags` array contains "x".
+function resolvePath(doc, path) {
+  let current = [doc];
+
+  for (const key of path.split(".")) {
+    const next = [];
+    for (const value of current) {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        value.forEach((element) => {
+          if (isPlainObject(element) && element[key] !== undefined) {
+            next.push(element[key]);
+          }
+        });
+      } else if (value != null && value[key] !== undefined) {
+        next.push(value[key]);
+      }
+    }
+    current = next;
+  }
+
+  return current.flatMap((value) =>
+    Array.isArray(value) ? [value, ...value] : [value]
+  );
+}
+
+// Single value at a dot path, without array traversal
+function getValue(doc, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+// Only values of the same type are ordered; anything else never matches
+function compare(a, b) {
+  if (a instanceof Date) a = a.toISOString();
+  if (b instanceof Date) b = b.toISOString();
+  if (typeof a !== typeof b) return NaN;
+  if (typeof a !== "number" && typeof a !== "string") return NaN;
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function valueEquals(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null) return false;
+  if (typeof a !== "object" || typeof b !== "object") return false;
+
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => valueEquals(a[key], b[key]));
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof RegExp) &&
+    !(value instanceof Date)
+  );
+}
+
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+}
+
+function assertArray(operator, operand) {
+  if (!Array.isArray(operand)) {
+    throw new DatabaseError(`${operator} expects an array`, "INVALID_QUERY");
+  }
+}
+
+module.exports = {
+  matchesFilter,
+  resolvePath,
+  getValue,
+  compare,
+  isOperatorObject,
+};
@@ -0,0 +1,180 @@
+const { DatabaseError } = require("./DatabaseErrors");
+const { getValue } = require("./queryMatcher");
+
+// Sorting, projection and cursor helpers for JsonDatabase.find
+
+// Path segments that would reach Object.prototype when written to. Field
+// paths come from query strings and cursors, so they are never trusted.
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+// Compound sort, e.g. { category: 1, name: 1 }. Missing values sort first.
+// Documents are always ordered by id last so that cursors are stable.
+function sortDocuments(documents, sort = {}) {
+  const keys = sortKeys(sort);
+  return documents.sort((a, b) => compareByKeys(a, b, keys));
+}
+
+function sortKeys(sort = {}) {
+  const keys = Object.entries(sort).map(([field, direction]) => [
+    field,
+    direction === -1 || direction === "desc" ? -1 : 1,
+  ]);
+  if (!keys.some(([field]) => field === "id")) keys.push(["id", 1]);
+  return keys;
+}
+
+function compareByKeys(a, b, keys) {
+  for (const [field, direction] of keys) {
+    const comparison = compareValues(getValue(a, field), getValue(b, field));
+    if (comparison !== 0) return comparison * direction;
+  }
+  return 0;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1;
+  if (typeof a === "string") return a.localeCompare(b);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+// Projection: { name: 1, category: 1 } keeps only those fields (plus id);
+// { items: 0 } drops them. Dot paths are supported in both modes.
+function applyProjection(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+
+  const entries = Object.entries(projection);
+  const inclusive = entries.some(([, value]) => Boolean(value));
+
+  if (inclusive) {
+    const result = {};
+    if (projection.id !== 0) result.id = doc.id;
+    for (const [field, value] of entries) {
+      if (!value) continue;
+      const fieldValue = getValue(doc, field);
+      if (fieldValue !== undefined) setValue(result, field, fieldValue);
+    }
+    return result;
+  }
+
+  const result = JSON.parse(JSON.stringify(doc));
+  for (const [field] of entries) {
+    unsetValue(result, field);
+  }
+  return result;
+}
+
+function setValue(target, path, value) {
+  const keys = fieldPath(path);
+  const last = keys.pop();
+  let current = target;
+  for (const key of keys) {
+    if (!Object.prototype.hasOwnProperty.call(current, key)) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[last] = value;
+}
+
+function unsetValue(target, path) {
+  const keys = fieldPath(path);
+  const last = keys.pop();
+  const parent = keys.reduce(
+    (current, key) => (current == null ? undefined : current[key]),
+    target
+  );
+  if (parent != null) delete parent[last];
+}
+
+// Opaque cursor: the sort values of the last document returned, tied to the
+// sort it was produced with.
+function encodeCursor(doc, keys) {
+  const payload = {
+    s: keys,
+    v: keys.map(([field]) => getValue(doc, field)),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor, keys) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new DatabaseError("Invalid cursor", "INVALID_CURSOR");
+  }
+
+  if (
+    !payload ||
+    !Array.isArray(payload.v) ||
+    JSON.stringify(payload.s) !== JSON.stringify(keys)
+  ) {
+    throw new DatabaseError(
+      "Cursor does not match the requested sort",
+      "INVALID_CURSOR"
+    );
+  }
+
+  // Rebuild a pseudo-document holding the sort values
+  const position = Object.create(null);
+  keys.forEach(([field], i) => {
+    if (payload.v[i] !== undefined) setValue(position, field, payload.v[i]);
+  });
+  return position;
+}
+
+// Query string helpers shared by the services:
+//   ?sort=category,-name   -> { category: 1, name: -1 }
+//   ?fields=name,category  -> { name: 1, category: 1 }
+//   ?fields=-items         -> { items: 0 }
+function parseSortParam(param) {
+  if (!param) return null;
+
+  const sort = {};
+  for (const part of String(param).split(",")) {
+    const field = part.trim().replace(/^[-+]/, "");
+    if (!field) continue;
+    fieldPath(field);
+    sort[field] = part.trim().startsWith("-") ? -1 : 1;
+  }
+  return Object.keys(sort).length > 0 ? sort : null;
+}
+
+function parseFieldsParam(param) {
+  if (!param) return null;
+
+  const projection = {};
+  for (const part of String(param).split(",")) {
+    const field = part.trim().replace(/^-/, "");
+    if (!field) continue;
+    fieldPath(field);
+    projection[field] = part.trim().startsWith("-") ? 0 : 1;
+  }
+  return Object.keys(projection).length > 0 ? projection : null;
+}
+
+// Splits a dot path, rejecting segments that lead out of the document
+function fieldPath(path) {
+  const keys = String(path).split(".");
+  if (keys.some((key) => UNSAFE_KEYS.includes(key))) {
+    throw new DatabaseError(`Invalid field path "${path}"`, "INVALID_FIELD");
+  }
+  return keys;
+}
+
+module.exports = {
+  sortDocuments,
+  sortKeys,
+  compareByKeys,
+  compareValues,
+  applyProjection,
+  encodeCursor,
+  decodeCursor,
+  parseSortParam,
+  parseFieldsParam,
+};
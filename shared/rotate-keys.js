@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Encryption key rotation CLI, run from a service directory with the
+// service stopped:
+//
+//   DB_ENCRYPTION_KEYS="2:<new key>,1:<old key>" DB_BLIND_INDEX_KEY=<key> \
+//     node ../../shared/rotate-keys.js --collection=users \
+//       --encrypt=email,firstName,lastName,preferences
+//
+// The first key in DB_ENCRYPTION_KEYS is the current one. Loading the
+// collection rewrites every document still under an older key; this command
+// also rewrites the snapshots, after which the old keys can be removed from
+// DB_ENCRYPTION_KEYS. Options: --database (default ./database), --storage
+// (default json). Generate a key with:
+//   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+const path = require("path");
+const JsonDatabase = require("./JsonDatabase");
+const { writeAtomic } = require("./JsonFileStorage");
+const { encryptionKeysFromEnv } = require("./FieldEncryption");
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.collection || !options.encrypt) {
+    console.error("Missing --collection=<name> or --encrypt=<field,...>");
+    process.exit(1);
+  }
+
+  const encryption = {
+    fields: options.encrypt.split(","),
+    ...encryptionKeysFromEnv(),
+  };
+  const db = new JsonDatabase(
+    path.resolve(options.database || "database"),
+    options.collection,
+    {
+      storage: options.storage,
+      migrations: { manual: true },
+      encryption,
+    }
+  );
+
+  // Force a rewrite even if startup found nothing stale, so the current
+  // key is used everywhere
+  db.save();
+  db.storage.removeBackup();
+
+  let snapshots = 0;
+  for (const { id } of db.listSnapshots()) {
+    const filePath = db.snapshots.pathFor(id);
+    const snapshot = db.snapshots.readFile(filePath);
+    snapshot.documents = snapshot.documents.map((doc) =>
+      db.encodeDocument(doc)
+    );
+    writeAtomic(filePath, JSON.stringify(snapshot), { backup: false });
+    snapshots++;
+  }
+
+  console.log(
+    `Re-encrypted ${db.collection.length} documents and ${snapshots} snapshots of ${db.collectionName} with key ${encryption.currentKeyId}`
+  );
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Key rotation failed: ${error.message}`);
+  process.exit(1);
+}